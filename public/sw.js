@@ -0,0 +1,85 @@
+// App-shell service worker. Parsed banks live in IndexedDB (src/bankCache.js);
+// this worker only keeps the shell, the catalogue and bank images available
+// offline. Bump the cache names when the caching strategy changes.
+const SHELL_CACHE = "ccde-shell-v1";
+const IMAGE_CACHE = "ccde-images-v1";
+const SHELL_URLS = ["/", "/index.html", "/manifest.webmanifest", "/icon.svg"];
+const ASSET_URL_RE = /(?:src|href)="(\/assets\/[^"]+)"/g;
+
+// The built index.html names its hashed bundles; precache those too so the
+// first offline visit does not load a page without scripts.
+async function precacheShell() {
+  const cache = await caches.open(SHELL_CACHE);
+  await cache.addAll(SHELL_URLS);
+  const indexResponse = await cache.match("/index.html");
+  const html = indexResponse ? await indexResponse.text() : "";
+  const assetUrls = Array.from(html.matchAll(ASSET_URL_RE), (match) => match[1]);
+  await cache.addAll(assetUrls);
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names.filter((name) => ![SHELL_CACHE, IMAGE_CACHE].includes(name)).map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+async function networkFirst(request, cacheKey) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(cacheKey, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(cacheKey);
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+}
+
+async function cacheFirst(request, cacheName) {
+  const cached = await caches.match(request);
+  if (cached) {
+    return cached;
+  }
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(cacheName);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) {
+    return;
+  }
+
+  // Every route is the SPA; bank files themselves are fetched by the app and
+  // revalidated against the IndexedDB copy, so they pass straight through.
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request, "/index.html"));
+  } else if (url.pathname === "/banks.json") {
+    event.respondWith(networkFirst(request, url.pathname));
+  } else if (url.pathname.startsWith("/assets/")) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+  } else if (request.destination === "image") {
+    event.respondWith(cacheFirst(request, IMAGE_CACHE));
+  }
+});
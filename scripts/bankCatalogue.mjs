@@ -0,0 +1,85 @@
+import { readFile, readdir, stat } from "node:fs/promises";
+import path from "node:path";
+import mammoth from "mammoth";
+import { parseQuestionsFromHtml } from "../src/bankParser.js";
+import { bankRoutePath, getBankExtension, importQuestionBank } from "../src/importers.js";
+
+export const CATALOGUE_FILE_NAME = "banks.json";
+
+// Node's mammoth takes a Buffer rather than an ArrayBuffer; images only need a
+// placeholder since the catalogue just counts questions.
+async function countDocxQuestions(buffer) {
+  const result = await mammoth.convertToHtml(
+    { buffer },
+    { convertImage: mammoth.images.imgElement(async () => ({ src: "image" })) }
+  );
+  return parseQuestionsFromHtml(result.value).questions.length;
+}
+
+async function readTitle(buffer, extension) {
+  if (extension !== ".json") {
+    return "";
+  }
+  try {
+    const data = JSON.parse(buffer.toString("utf8"));
+    return typeof data?.title === "string" ? data.title.trim() : "";
+  } catch {
+    return "";
+  }
+}
+
+async function describeBank(directory, fileName) {
+  const extension = getBankExtension(fileName);
+  const filePath = path.join(directory, fileName);
+  const [buffer, fileStat] = await Promise.all([readFile(filePath), stat(filePath)]);
+  const name = fileName.slice(0, -extension.length);
+
+  let questionCount = null;
+  let error = "";
+  try {
+    if (extension === ".docx") {
+      questionCount = await countDocxQuestions(buffer);
+    } else {
+      const arrayBuffer = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+      questionCount = (await importQuestionBank(arrayBuffer, fileName)).questions.length;
+    }
+  } catch (parseError) {
+    error = parseError instanceof Error ? parseError.message : String(parseError);
+  }
+
+  const entry = {
+    name,
+    file: fileName,
+    path: bankRoutePath(`/${encodeURIComponent(fileName)}`),
+    format: extension.slice(1),
+    title: (await readTitle(buffer, extension)) || name.replace(/[-_]+/g, " "),
+    questionCount,
+    updatedAt: fileStat.mtime.toISOString()
+  };
+  return error ? { ...entry, error } : entry;
+}
+
+export async function buildBankCatalogue(directory) {
+  let fileNames = [];
+  try {
+    fileNames = await readdir(directory);
+  } catch (readError) {
+    if (readError.code !== "ENOENT") {
+      throw readError;
+    }
+  }
+
+  const bankFiles = fileNames
+    .filter((fileName) => !fileName.startsWith(".") && fileName !== CATALOGUE_FILE_NAME && getBankExtension(fileName))
+    .sort((a, b) => a.localeCompare(b));
+
+  const banks = [];
+  for (const fileName of bankFiles) {
+    banks.push(await describeBank(directory, fileName));
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    banks
+  };
+}
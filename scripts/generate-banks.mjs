@@ -0,0 +1,15 @@
+#!/usr/bin/env node
+// Writes banks.json for a directory of question banks served without the Vite
+// build (which generates its own), for example a plain static host:
+//
+//   node scripts/generate-banks.mjs /srv/www/banks
+import { writeFile } from "node:fs/promises";
+import path from "node:path";
+import { CATALOGUE_FILE_NAME, buildBankCatalogue } from "./bankCatalogue.mjs";
+
+const directory = path.resolve(process.argv[2] || "public");
+const outputPath = path.resolve(process.argv[3] || path.join(directory, CATALOGUE_FILE_NAME));
+
+const catalogue = await buildBankCatalogue(directory);
+await writeFile(outputPath, `${JSON.stringify(catalogue, null, 2)}\n`);
+console.log(`Wrote ${catalogue.banks.length} bank(s) to ${outputPath}`);
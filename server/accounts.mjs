@@ -0,0 +1,104 @@
+import { createHash, randomBytes, scrypt, timingSafeEqual } from "node:crypto";
+import path from "node:path";
+import { promisify } from "node:util";
+import { readJsonFile, updateJsonFile } from "./fileStore.mjs";
+import { HttpError } from "./httpError.mjs";
+
+const scryptAsync = promisify(scrypt);
+const KEY_LENGTH = 64;
+const TOKEN_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+const USERNAME_RE = /^[A-Za-z0-9][A-Za-z0-9_.-]{2,31}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+function usersFile(dataDir) {
+  return path.join(dataDir, "users.json");
+}
+
+async function hashPassword(password, salt) {
+  const key = await scryptAsync(password, salt, KEY_LENGTH);
+  return key.toString("hex");
+}
+
+// Only a hash of each token is stored, so a leaked users.json does not hand
+// out sessions.
+function hashToken(token) {
+  return createHash("sha256").update(token).digest("hex");
+}
+
+function issueToken(user, now) {
+  const token = randomBytes(32).toString("hex");
+  user.tokens = (user.tokens || []).filter((item) => item.expiresAt > now);
+  user.tokens.push({ hash: hashToken(token), expiresAt: now + TOKEN_TTL_MS });
+  return token;
+}
+
+export async function registerUser(dataDir, username, password) {
+  if (!USERNAME_RE.test(username || "")) {
+    throw new HttpError(400, "用户名需为 3-32 位字母、数字、下划线、点或连字符，并以字母或数字开头。");
+  }
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw new HttpError(400, `密码至少 ${MIN_PASSWORD_LENGTH} 位。`);
+  }
+
+  const salt = randomBytes(16).toString("hex");
+  const hash = await hashPassword(password, salt);
+  let token = "";
+  await updateJsonFile(usersFile(dataDir), { users: {} }, (data) => {
+    if (Object.hasOwn(data.users, username)) {
+      throw new HttpError(409, "用户名已被占用。");
+    }
+    const now = Date.now();
+    const user = { salt, hash, createdAt: now, tokens: [] };
+    token = issueToken(user, now);
+    return { ...data, users: { ...data.users, [username]: user } };
+  });
+  return token;
+}
+
+export async function loginUser(dataDir, username, password) {
+  const data = await readJsonFile(usersFile(dataDir), { users: {} });
+  const user = Object.hasOwn(data.users, username || "") ? data.users[username] : null;
+  if (!user || typeof password !== "string") {
+    throw new HttpError(401, "用户名或密码错误。");
+  }
+  const expected = Buffer.from(user.hash, "hex");
+  const actual = Buffer.from(await hashPassword(password, user.salt), "hex");
+  if (!timingSafeEqual(expected, actual)) {
+    throw new HttpError(401, "用户名或密码错误。");
+  }
+
+  let token = "";
+  await updateJsonFile(usersFile(dataDir), { users: {} }, (current) => {
+    const now = Date.now();
+    const stored = current.users[username];
+    token = issueToken(stored, now);
+    return current;
+  });
+  return token;
+}
+
+// Resolves to the user name the bearer token belongs to.
+export async function authenticate(dataDir, token) {
+  if (!token) {
+    throw new HttpError(401, "请先登录。");
+  }
+  const data = await readJsonFile(usersFile(dataDir), { users: {} });
+  const tokenHash = hashToken(token);
+  const now = Date.now();
+  for (const [username, user] of Object.entries(data.users)) {
+    if ((user.tokens || []).some((item) => item.hash === tokenHash && item.expiresAt > now)) {
+      return username;
+    }
+  }
+  throw new HttpError(401, "登录已过期，请重新登录。");
+}
+
+export async function revokeToken(dataDir, token) {
+  const tokenHash = hashToken(token || "");
+  await updateJsonFile(usersFile(dataDir), { users: {} }, (data) => {
+    for (const user of Object.values(data.users)) {
+      user.tokens = (user.tokens || []).filter((item) => item.hash !== tokenHash);
+    }
+    return data;
+  });
+}
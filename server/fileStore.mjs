@@ -0,0 +1,46 @@
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+// JSON files written atomically (temp file, then rename). Writes to the same
+// file are queued so concurrent requests never interleave.
+const queues = new Map();
+
+export async function readJsonFile(filePath, fallback) {
+  try {
+    return JSON.parse(await readFile(filePath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return fallback;
+    }
+    throw error;
+  }
+}
+
+async function writeJsonFile(filePath, value) {
+  await mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await writeFile(tempPath, JSON.stringify(value));
+  await rename(tempPath, filePath);
+}
+
+// Runs `update(current)` under the file's queue and writes back what it
+// returns. Resolves to the written value.
+export function updateJsonFile(filePath, fallback, update) {
+  const previous = queues.get(filePath) || Promise.resolve();
+  const next = previous
+    .catch(() => {})
+    .then(async () => {
+      const updated = await update(await readJsonFile(filePath, fallback));
+      await writeJsonFile(filePath, updated);
+      return updated;
+    });
+  queues.set(filePath, next);
+  next
+    .finally(() => {
+      if (queues.get(filePath) === next) {
+        queues.delete(filePath);
+      }
+    })
+    .catch(() => {});
+  return next;
+}
@@ -0,0 +1,8 @@
+// Errors a request handler throws to answer with a status other than 500.
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+  }
+}
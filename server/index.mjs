@@ -0,0 +1,131 @@
+import { createServer } from "node:http";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { authenticate, loginUser, registerUser, revokeToken } from "./accounts.mjs";
+import { HttpError } from "./httpError.mjs";
+import { clientAddress, createRateLimiter } from "./rateLimit.mjs";
+import { syncUser } from "./syncStore.mjs";
+
+// Optional sync backend for the quiz app. nginx proxies /api/ here; the app
+// works without it and only syncs when a user signs in.
+const PORT = Number(process.env.PORT) || 3000;
+const DATA_DIR = path.resolve(process.env.DATA_DIR || fileURLToPath(new URL("./data", import.meta.url)));
+const MAX_BODY_BYTES = (Number(process.env.MAX_BODY_MB) || 32) * 1024 * 1024;
+// Registration is opt-in: an open sign-up on a public site lets anyone create
+// accounts and fill the data volume.
+const ALLOW_REGISTRATION = process.env.ALLOW_REGISTRATION === "true";
+// Every login and registration runs scrypt, so attempts are capped per client.
+const loginLimiter = createRateLimiter({ limit: 10, windowMs: 15 * 60 * 1000 });
+const registerLimiter = createRateLimiter({ limit: 5, windowMs: 60 * 60 * 1000 });
+
+function throttle(limiter, request) {
+  if (!limiter(clientAddress(request))) {
+    throw new HttpError(429, "尝试次数过多，请稍后再试。");
+  }
+}
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+// Every endpoint takes a JSON object; anything else is answered with 400
+// before the handlers destructure it.
+async function readJsonBody(request) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of request) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new HttpError(413, "同步数据过大。");
+    }
+    chunks.push(chunk);
+  }
+  let body;
+  try {
+    body = chunks.length > 0 ? JSON.parse(Buffer.concat(chunks).toString("utf8")) : {};
+  } catch {
+    throw new HttpError(400, "请求内容不是有效的 JSON。");
+  }
+  if (!isPlainObject(body)) {
+    throw new HttpError(400, "请求内容必须是 JSON 对象。");
+  }
+  return body;
+}
+
+// `{ since, changes }` with a revision number and a list of change objects.
+async function readSyncBody(request) {
+  const body = await readJsonBody(request);
+  const { since = 0, changes = [] } = body;
+  if (!Number.isFinite(since) || since < 0 || !Array.isArray(changes) || !changes.every(isPlainObject)) {
+    throw new HttpError(400, "同步数据格式错误。");
+  }
+  return { since, changes };
+}
+
+function bearerToken(request) {
+  const match = /^Bearer\s+(\S+)$/i.exec(request.headers.authorization || "");
+  return match ? match[1] : "";
+}
+
+function sendJson(response, status, body) {
+  response.writeHead(status, { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" });
+  response.end(JSON.stringify(body));
+}
+
+const routes = {
+  "GET /api/health": async () => ({ ok: true, registration: ALLOW_REGISTRATION }),
+
+  "POST /api/register": async (request) => {
+    if (!ALLOW_REGISTRATION) {
+      throw new HttpError(403, "服务器未开放注册。");
+    }
+    throttle(registerLimiter, request);
+    const { username, password } = await readJsonBody(request);
+    return { username, token: await registerUser(DATA_DIR, username, password) };
+  },
+
+  "POST /api/login": async (request) => {
+    throttle(loginLimiter, request);
+    const { username, password } = await readJsonBody(request);
+    return { username, token: await loginUser(DATA_DIR, username, password) };
+  },
+
+  // Logging out with a missing or unknown token has nothing to revoke, so
+  // users.json is only rewritten for a token that is still valid.
+  "POST /api/logout": async (request) => {
+    const token = bearerToken(request);
+    if (!token || !(await authenticate(DATA_DIR, token).catch(() => null))) {
+      return { ok: true };
+    }
+    await revokeToken(DATA_DIR, token);
+    return { ok: true };
+  },
+
+  "POST /api/sync": async (request) => {
+    const username = await authenticate(DATA_DIR, bearerToken(request));
+    return syncUser(DATA_DIR, username, await readSyncBody(request));
+  }
+};
+
+const server = createServer(async (request, response) => {
+  const { pathname } = new URL(request.url, "http://localhost");
+  const handler = routes[`${request.method} ${pathname}`];
+  if (!handler) {
+    sendJson(response, 404, { error: "Not found" });
+    return;
+  }
+  try {
+    sendJson(response, 200, await handler(request));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      sendJson(response, error.status, { error: error.message });
+      return;
+    }
+    console.error(error);
+    sendJson(response, 500, { error: "服务器内部错误。" });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`ccde sync server listening on :${PORT}, data in ${DATA_DIR}`);
+});
@@ -0,0 +1,35 @@
+// Fixed-window attempt counter per key (a client IP). `take(key)` records an
+// attempt and returns false once the key used up `limit` in the current
+// window. State is in memory, so a restart starts every window afresh.
+export function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map();
+
+  function sweep(now) {
+    for (const [key, entry] of windows) {
+      if (now - entry.start >= windowMs) {
+        windows.delete(key);
+      }
+    }
+  }
+
+  return function take(key, now = Date.now()) {
+    const entry = windows.get(key);
+    if (!entry || now - entry.start >= windowMs) {
+      if (windows.size >= 10000) {
+        sweep(now);
+      }
+      windows.set(key, { start: now, count: 1 });
+      return true;
+    }
+    entry.count += 1;
+    return entry.count <= limit;
+  };
+}
+
+// nginx appends the address it saw to X-Forwarded-For, so the last entry is
+// the real client even when the client sent its own header. Without a proxy
+// the socket address is used.
+export function clientAddress(request) {
+  const forwarded = (request.headers["x-forwarded-for"] || "").split(",").map((item) => item.trim()).filter(Boolean);
+  return forwarded[forwarded.length - 1] || request.socket.remoteAddress || "";
+}
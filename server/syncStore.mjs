@@ -0,0 +1,81 @@
+import { createHash } from "node:crypto";
+import path from "node:path";
+import { updateJsonFile } from "./fileStore.mjs";
+import { HttpError } from "./httpError.mjs";
+
+// What the app syncs. Each record is `{ collection, key, updatedAt, deleted,
+// value }`; `updatedAt` is the client's clock when the record last changed.
+export const SYNC_COLLECTIONS = ["wrongAnswers", "srs", "settings", "sessions", "attempts"];
+const MAX_KEY_LENGTH = 512;
+
+function userFile(dataDir, username) {
+  const digest = createHash("sha256").update(username).digest("hex").slice(0, 32);
+  return path.join(dataDir, "sync", `${digest}.json`);
+}
+
+function emptyDocument() {
+  return {
+    rev: 0,
+    collections: Object.fromEntries(SYNC_COLLECTIONS.map((name) => [name, {}]))
+  };
+}
+
+function isValidChange(change) {
+  return (
+    change &&
+    SYNC_COLLECTIONS.includes(change.collection) &&
+    typeof change.key === "string" &&
+    change.key.length > 0 &&
+    change.key.length <= MAX_KEY_LENGTH &&
+    change.key !== "__proto__" &&
+    Number.isFinite(change.updatedAt)
+  );
+}
+
+// Last write wins per record: a change replaces the stored record only when
+// it is newer, and ties keep what the server already has. Every accepted
+// change gets the next revision number so clients can ask for what they
+// have not seen yet.
+export function mergeChanges(document, changes) {
+  let rev = document.rev;
+  const collections = { ...emptyDocument().collections, ...document.collections };
+  for (const change of changes) {
+    if (!isValidChange(change)) {
+      continue;
+    }
+    const records = collections[change.collection];
+    const stored = Object.hasOwn(records, change.key) ? records[change.key] : null;
+    if (stored && stored.updatedAt >= change.updatedAt) {
+      continue;
+    }
+    rev += 1;
+    records[change.key] = change.deleted
+      ? { updatedAt: change.updatedAt, deleted: true, rev }
+      : { updatedAt: change.updatedAt, deleted: false, value: change.value, rev };
+  }
+  return { rev, collections };
+}
+
+export function changesSince(document, since) {
+  const changes = [];
+  for (const [collection, records] of Object.entries(document.collections)) {
+    for (const [key, record] of Object.entries(records)) {
+      if (record.rev > since) {
+        changes.push({ collection, key, updatedAt: record.updatedAt, deleted: record.deleted, value: record.value });
+      }
+    }
+  }
+  return changes;
+}
+
+// Applies the client's changes, then answers with every record newer than
+// the client's last seen revision, including the ones it just sent.
+export async function syncUser(dataDir, username, { since = 0, changes = [] }) {
+  if (!Array.isArray(changes) || !Number.isFinite(since)) {
+    throw new HttpError(400, "同步数据格式错误。");
+  }
+  const document = await updateJsonFile(userFile(dataDir, username), emptyDocument(), (current) =>
+    mergeChanges(current, changes)
+  );
+  return { rev: document.rev, changes: changesSince(document, since) };
+}
@@ -1,16 +1,80 @@
 import { useEffect, useMemo, useRef, useState } from "react";
-import mammoth from "mammoth";
+import { LETTERS, formatSnippet, formatSourceAnswer, parseTagList, resolveAnswer } from "./bankParser";
+import { loadRouteBank } from "./bankCache";
+import { deleteRecord, getRecord, openDatabase, putRecord } from "./db";
+import { LOCALES, localizedError } from "./i18n";
+import {
+  applyEdits,
+  createEditRecord,
+  editFormFromQuestion,
+  editKey,
+  loadEdits,
+  questionFromEdit,
+  removeEdit,
+  saveEdit
+} from "./edits";
+import { buildAnkiDeck, buildQuestionsCsv, buildQuestionsDocx, buildQuestionsJson, downloadFile } from "./exporters";
+import { BANK_EXTENSIONS, bankRoutePath, getBankExtension } from "./importers";
+import {
+  createLibraryEntry,
+  loadLibrary,
+  removeLibraryEntry,
+  saveLibraryEntry,
+  selectionKey,
+  upsertLibraryEntry
+} from "./library";
+import { useI18n } from "./LocaleContext";
+import ImageLightbox from "./ImageLightbox";
+import { parseBank } from "./parseBank";
+import QuestionEditor from "./QuestionEditor";
+import { createRandom, createSeed, parseSeed, shuffleArray } from "./random";
+import SearchModal from "./SearchModal";
+import StatsModal from "./StatsModal";
+import { createAttemptId } from "./stats";
+import {
+  DEFAULT_SCORING_POLICY,
+  SCORING_POLICIES,
+  creditOf,
+  formatScore,
+  scoreChoice,
+  scorePositions
+} from "./scoring";
+import {
+  isOfflineError,
+  loadSyncAccount,
+  mergeRemoteSrs,
+  mergeRemoteWrongAnswers,
+  recordDeletion,
+  remoteFontSettings,
+  saveSyncAccount,
+  signIn,
+  signOut,
+  syncNow,
+  wrongAnswerKey
+} from "./sync";
+import SyncModal from "./SyncModal";
+import { UNTAGGED_LABEL, accuracyByTag, collectTags, filterByTags, manualTagsOf, setManualTags, tagsOf } from "./tags";
+import { countDueQuestions, gradeToQuality, reviewCard, selectDueQuestions, srsKey } from "./spacedRepetition";
 import "./styles.css";
 
 const FONT_STORAGE_KEY = "ccde_font_settings";
 const WRONG_STORAGE_KEY = "ccde_wrong_answers";
+const SRS_STORAGE_KEY = "ccde_srs_state";
+const ACTIVE_BANKS_STORAGE_KEY = "ccde_active_banks";
+const TAGS_STORAGE_KEY = "ccde_question_tags";
+const PIN_IMAGES_STORAGE_KEY = "ccde_pin_images";
 const DEFAULT_FONT_SIZE = 20;
 const MIN_FONT_SIZE = 12;
 const MAX_FONT_SIZE = 32;
-const LETTERS = ["A", "B", "C", "D", "E", "F"];
-
-const QUESTION_RE = /^(\d+)[.,、]\s*(.*)$/;
-const OPTION_RE = /^([A-F])[.,、]\s*(.*)$/i;
+const DEFAULT_GRADUATE_STREAK = 3;
+const DEFAULT_EXAM_SECONDS_PER_QUESTION = 72;
+const SESSION_SAVE_DELAY_MS = 400;
+const CATALOGUE_PATH = "/banks.json";
+const SYNC_INTERVAL_MS = 60 * 1000;
+// `share` holds the link parameters of random and sequential runs.
+const DEFAULT_RUN_RULES = { scoring: DEFAULT_SCORING_POLICY, hideAnswerCount: false, share: null };
+// "system" follows prefers-color-scheme; the others are palettes in styles.css.
+const THEMES = ["system", "light", "dark", "contrast", "sepia"];
 
 function readJsonStorage(key, fallback) {
   try {
@@ -29,233 +93,226 @@ function clamp(num, min, max) {
   return Math.min(max, Math.max(min, num));
 }
 
-function normalizeText(text) {
-  return (text || "").replace(/\u00a0/g, " ").trim();
+function sortLetters(list) {
+  return [...list].sort();
 }
 
-function extractAnswerLetters(text) {
-  const normalized = normalizeText(text);
-  const answerIndex = normalized.toLowerCase().lastIndexOf("answer");
-  if (answerIndex < 0) {
-    return null;
-  }
-
-  const answerTail = normalized.slice(answerIndex);
-  const match = answerTail.match(/^Answer[:\s]*([A-Z,\s]+)$/i);
-  if (!match) {
-    return null;
-  }
-
-  const letters = (match[1].toUpperCase().match(/[A-F]/g) || []).join("");
-  return letters || null;
+function prepareQuestion(question, random = Math.random) {
+  return arrangeQuestion(question, shuffleArray(Object.keys(question.options), random));
 }
 
-function stripInlineAnswer(text) {
-  return normalizeText(text).replace(/Answer[:\s]*[A-Z,\s]+$/i, "").trim();
-}
+// `order` lists the original option letters in the order they are shown.
+function arrangeQuestion(question, order) {
+  const newLetters = LETTERS.slice(0, order.length);
 
-function appendUniqueImages(target, images) {
-  for (const src of images) {
-    if (src && !target.includes(src)) {
-      target.push(src);
-    }
-  }
-}
+  const shuffledOptions = {};
+  const optionMapping = {};
+  const reverseMapping = {};
 
-function extractBlocksFromHtml(html) {
-  const parser = new DOMParser();
-  const doc = parser.parseFromString(html, "text/html");
-  const blocks = [];
-  const blockTags = new Set(["p", "li", "h1", "h2", "h3", "h4", "h5", "h6"]);
+  order.forEach((originalLetter, index) => {
+    const newLetter = newLetters[index];
+    shuffledOptions[newLetter] = question.options[originalLetter];
+    optionMapping[newLetter] = originalLetter;
+    reverseMapping[originalLetter] = newLetter;
+  });
 
-  function walkElement(element) {
-    const tag = element.tagName.toLowerCase();
+  const shuffledAnswer = sortLetters(
+    (question.answer || "").split("").map((letter) => reverseMapping[letter]).filter(Boolean)
+  ).join("");
+  const canSubmit = Boolean(question.canSubmit && order.length > 0 && shuffledAnswer.length > 0);
+  const kind = question.kind || "choice";
 
-    if (tag === "img") {
-      const src = element.getAttribute("src") || "";
-      if (src) {
-        blocks.push({ text: "", images: [src] });
-      }
-      return;
-    }
+  const prepared = {
+    ...question,
+    kind,
+    canSubmit,
+    isMultipleChoice: canSubmit && kind === "choice" && question.answer.length > 1,
+    shuffledOptions,
+    optionMapping,
+    reverseMapping,
+    shuffledAnswer
+  };
 
-    if (blockTags.has(tag)) {
-      const text = normalizeText(element.textContent);
-      const images = Array.from(element.querySelectorAll("img"))
-        .map((img) => img.getAttribute("src") || "")
-        .filter(Boolean);
-      if (text || images.length > 0) {
-        blocks.push({ text, images });
-      }
-      return;
-    }
+  if (kind === "ordering") {
+    prepared.shuffledAnswerOrder = (question.answerOrder || "")
+      .split("")
+      .map((letter) => reverseMapping[letter])
+      .join("");
+  } else if (kind === "matching") {
+    prepared.shuffledPairs = Object.fromEntries(
+      Object.entries(question.answerPairs || {}).map(([key, letter]) => [key, reverseMapping[letter]])
+    );
+  }
 
-    const children = Array.from(element.children);
-    if (children.length === 0) {
-      const text = normalizeText(element.textContent);
-      if (text) {
-        blocks.push({ text, images: [] });
-      }
-      return;
-    }
+  return prepared;
+}
 
-    for (const child of children) {
-      walkElement(child);
-    }
-  }
+// Saved sessions refer to each quiz question by bank and number plus its
+// option order, so saving a draft does not rewrite every question and its
+// images. Questions missing from the library (notebook entries whose bank is
+// gone) are kept whole; they carry no images.
+function toSessionItem(question, libraryKeys) {
+  const item = {
+    bank: question.bank,
+    number: question.number,
+    order: Object.keys(question.shuffledOptions).map((letter) => question.optionMapping[letter])
+  };
+  return libraryKeys.has(`${question.bank}#${question.number}`) ? item : { ...item, question };
+}
 
-  for (const node of Array.from(doc.body.childNodes)) {
-    if (node.nodeType === 3) {
-      const text = normalizeText(node.textContent);
-      if (text) {
-        blocks.push({ text, images: [] });
-      }
+// Rebuilds the quiz from `session.quizItems` and the current questions, or
+// takes `session.quizQuestions` as saved by older versions. Null when a
+// question has left the library since. A question whose options were edited
+// meanwhile gets a new option order.
+function restoreSessionQuestions(session, sourceQuestions) {
+  if (!session.quizItems) {
+    return (session.quizQuestions || []).map((question) =>
+      // Sessions saved before the library existed hold questions without `bank`.
+      question.bank === undefined ? { ...question, bank: session.bank } : question
+    );
+  }
+  const byKey = new Map(sourceQuestions.map((question) => [`${question.bank}#${question.number}`, question]));
+  const restored = [];
+  for (const item of session.quizItems) {
+    if (item.question) {
+      restored.push(item.question);
       continue;
     }
-
-    if (node.nodeType === 1) {
-      walkElement(node);
+    const question = byKey.get(`${item.bank}#${item.number}`);
+    if (!question) {
+      return null;
     }
+    const letters = Object.keys(question.options);
+    const sameOptions = item.order.length === letters.length && item.order.every((letter) => letters.includes(letter));
+    restored.push(sameOptions ? arrangeQuestion(question, item.order) : prepareQuestion(question));
   }
-
-  return blocks;
+  return restored;
 }
 
-function parseQuestionsFromHtml(html) {
-  const blocks = extractBlocksFromHtml(html);
-  const questions = [];
-
-  let currentText = "";
-  let currentOptions = {};
-  let currentImages = [];
-  let currentNumber = null;
-  let currentAnswer = null;
-
-  function flushCurrentQuestion() {
-    if (currentNumber !== null) {
-      const hasOptions = Object.keys(currentOptions).length > 0;
-      const normalizedAnswer = currentAnswer ? currentAnswer.toUpperCase().split("").sort().join("") : "";
-      const canSubmit = hasOptions && normalizedAnswer.length > 0;
-
-      if (!currentText.trim() && !hasOptions && currentImages.length === 0) {
-        return;
-      }
-
-      questions.push({
-        number: currentNumber,
-        text: currentText.trim(),
-        options: { ...currentOptions },
-        answer: normalizedAnswer,
-        images: [...currentImages],
-        canSubmit
-      });
-    }
+// The correct answer of a prepared question in the shuffled letters the user
+// sees, using the same notation as `formatSourceAnswer`.
+function formatShuffledAnswer(question) {
+  if (question.kind === "ordering") {
+    return question.shuffledAnswerOrder.split("").join(",");
   }
+  if (question.kind === "matching") {
+    return question.matchTargets.map(({ key }) => `${key}-${question.shuffledPairs[key]}`).join(", ");
+  }
+  return question.shuffledAnswer;
+}
 
-  for (const block of blocks) {
-    const text = normalizeText(block.text);
-    const images = block.images || [];
-
-    const qMatch = text.match(QUESTION_RE);
-    if (qMatch) {
-      const candidateNumber = Number(qMatch[1]);
-      // Some stems contain numbered lists (for example: "1. ...", "2. ...")
-      // before options. Keep the first detected question number in this case.
-      const hasActiveQuestion = currentNumber !== null;
-      const hasOptions = Object.keys(currentOptions).length > 0;
-      const hasAnswer = Boolean(currentAnswer);
-
-      // Keep ordered-list lines like "1. xxx" inside the stem, but do not
-      // swallow a real next question number such as 77 after 76.
-      if (hasActiveQuestion && !hasOptions && !hasAnswer && candidateNumber <= currentNumber) {
-        appendUniqueImages(currentImages, images);
-        currentText = currentText ? `${currentText}\n${text}` : text;
-        continue;
-      }
+function defaultDraft(question) {
+  if (question.kind === "ordering") {
+    return Object.keys(question.shuffledOptions).sort();
+  }
+  return question.kind === "matching" ? {} : [];
+}
 
-      flushCurrentQuestion();
-      currentNumber = candidateNumber;
-      currentText = qMatch[2] || "";
-      currentOptions = {};
-      currentImages = [];
-      currentAnswer = null;
-      appendUniqueImages(currentImages, images);
-      continue;
-    }
+function sampleQuestions(questions, count, random) {
+  return shuffleArray(questions, random).slice(0, count);
+}
 
-    const answerLetters = extractAnswerLetters(text);
-    if (answerLetters) {
-      currentAnswer = answerLetters;
-    }
+// Wrong-answer records are identified by bank plus original number. Records
+// saved before banks were tracked have no `bank` and match on the stem text.
+function isSameWrongRecord(record, question) {
+  if (record.original_number !== question.number) {
+    return false;
+  }
+  return record.bank ? record.bank === question.bank : record.question_text === question.text;
+}
 
-    const optionMatch = text.match(OPTION_RE);
-    if (optionMatch) {
-      const letter = optionMatch[1].toUpperCase();
-      currentOptions[letter] = stripInlineAnswer(optionMatch[2] || "");
-      appendUniqueImages(currentImages, images);
-      continue;
-    }
+function buildNotebookQuestions(wrongAnswers, questions) {
+  const byKey = new Map(questions.map((question) => [`${question.bank}#${question.number}`, question]));
 
-    if (currentNumber !== null) {
-      appendUniqueImages(currentImages, images);
-      if (text && Object.keys(currentOptions).length === 0) {
-        currentText = currentText ? `${currentText}\n${text}` : text;
-      }
+  return wrongAnswers.map((record) => {
+    // Prefer the loaded bank entry so images come along.
+    const bankQuestion = record.bank
+      ? byKey.get(`${record.bank}#${record.original_number}`)
+      : questions.find((question) => isSameWrongRecord(record, question));
+    if (bankQuestion) {
+      return bankQuestion;
     }
-  }
 
-  flushCurrentQuestion();
-
-  return questions;
+    const options = { ...record.options };
+    const { complete = true, ...resolved } = resolveAnswer(
+      record.correct_answer,
+      options,
+      record.question_text,
+      record.question_kind || ""
+    );
+    return {
+      bank: record.bank || "",
+      number: record.original_number,
+      text: record.question_text,
+      options,
+      images: [],
+      canSubmit: Object.keys(options).length > 0 && resolved.answer.length > 0 && complete,
+      ...resolved,
+      explanation: record.explanation || "",
+      reference: record.reference || ""
+    };
+  });
 }
 
-function shuffleArray(array) {
-  const copy = [...array];
-  for (let i = copy.length - 1; i > 0; i -= 1) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [copy[i], copy[j]] = [copy[j], copy[i]];
+function computeModeMaxCount(mode, sortedQuestions, startNumber, totalQuestions, wrongCount, gradableTotal) {
+  if (mode === "sequential") {
+    return computeSequentialMaxCount(sortedQuestions, startNumber);
   }
-  return copy;
-}
-
-function sortLetters(list) {
-  return [...list].sort();
+  if (mode === "wrong") {
+    return Math.max(1, wrongCount);
+  }
+  if (mode === "due") {
+    return Math.max(1, gradableTotal);
+  }
+  return Math.max(1, totalQuestions);
 }
 
-function prepareQuestion(question) {
-  const optionItems = Object.entries(question.options);
-  const shuffledItems = shuffleArray(optionItems);
-  const newLetters = LETTERS.slice(0, shuffledItems.length);
-
-  const shuffledOptions = {};
-  const optionMapping = {};
-  const reverseMapping = {};
+function gradeSelection(question, selected, policy) {
+  if (question.kind === "ordering") {
+    const placed = selected.filter((letter, index) => letter === question.shuffledAnswerOrder[index]).length;
+    return {
+      selected,
+      isCorrect: selected.join("") === question.shuffledAnswerOrder,
+      credit: scorePositions(placed, question.shuffledAnswerOrder.length, policy),
+      userAnswerShuffled: selected.join(","),
+      userAnswerOriginal: selected.map((letter) => question.optionMapping[letter] || letter).join(",")
+    };
+  }
 
-  shuffledItems.forEach(([originalLetter, optionText], index) => {
-    const newLetter = newLetters[index];
-    shuffledOptions[newLetter] = optionText;
-    optionMapping[newLetter] = originalLetter;
-    reverseMapping[originalLetter] = newLetter;
-  });
+  if (question.kind === "matching") {
+    const describe = (toLetter) =>
+      question.matchTargets.map(({ key }) => `${key}-${selected[key] ? toLetter(selected[key]) : "?"}`).join(", ");
+    const placed = question.matchTargets.filter(({ key }) => selected[key] === question.shuffledPairs[key]).length;
+    return {
+      selected,
+      isCorrect: placed === question.matchTargets.length,
+      credit: scorePositions(placed, question.matchTargets.length, policy),
+      userAnswerShuffled: describe((letter) => letter),
+      userAnswerOriginal: describe((letter) => question.optionMapping[letter] || letter)
+    };
+  }
 
-  const shuffledAnswer = sortLetters(
-    (question.answer || "").split("").map((letter) => reverseMapping[letter]).filter(Boolean)
+  const userAnswerShuffled = selected.join("");
+  const userAnswerOriginal = sortLetters(
+    selected.map((letter) => question.optionMapping[letter] || letter)
   ).join("");
-  const canSubmit = Boolean(question.canSubmit && shuffledItems.length > 0 && shuffledAnswer.length > 0);
 
   return {
-    ...question,
-    canSubmit,
-    isMultipleChoice: canSubmit && question.answer.length > 1,
-    shuffledOptions,
-    optionMapping,
-    reverseMapping,
-    shuffledAnswer
+    selected,
+    isCorrect: userAnswerShuffled === question.shuffledAnswer,
+    credit: scoreChoice(selected, question.shuffledAnswer.split(""), Object.keys(question.shuffledOptions).length, policy),
+    userAnswerShuffled,
+    userAnswerOriginal
   };
 }
 
-function sampleQuestions(questions, count) {
-  return shuffleArray(questions).slice(0, count);
+function formatDuration(totalSeconds) {
+  const safeSeconds = Math.max(0, Math.ceil(totalSeconds));
+  const hours = Math.floor(safeSeconds / 3600);
+  const minutes = Math.floor((safeSeconds % 3600) / 60);
+  const seconds = safeSeconds % 60;
+  const pad = (value) => String(value).padStart(2, "0");
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${pad(minutes)}:${pad(seconds)}`;
 }
 
 function computeSequentialMaxCount(sortedQuestions, startNumber) {
@@ -274,7 +331,19 @@ function computeSequentialMaxCount(sortedQuestions, startNumber) {
   return Math.max(1, sortedQuestions.length - startIdx);
 }
 
-function resolveDocxPathFromRoute(pathname) {
+function formatLoadProgress(t, progress) {
+  if (!progress) {
+    return t("load.reading");
+  }
+  if (progress.stage === "images") {
+    return t("load.images", { done: progress.done });
+  }
+  return t("load.questions", { done: progress.done, total: Math.max(progress.done, progress.total) });
+}
+
+// `/<name>` loads `<name>.docx`, `/<name>?format=<ext>` another format (see
+// `bankRoutePath`), and `/<name>.<ext>` names the file directly.
+function resolveDocxPathFromRoute(pathname, search) {
   const rawPath = (pathname || "").trim();
   if (!rawPath) {
     return null;
@@ -286,7 +355,131 @@ function resolveDocxPathFromRoute(pathname) {
   }
 
   const normalizedPath = noTrailingSlash.startsWith("/") ? noTrailingSlash : `/${noTrailingSlash}`;
-  return normalizedPath.toLowerCase().endsWith(".docx") ? normalizedPath : `${normalizedPath}.docx`;
+  if (getBankExtension(normalizedPath)) {
+    return normalizedPath;
+  }
+  const extension = `.${(new URLSearchParams(search || "").get("format") || "").toLowerCase()}`;
+  return `${normalizedPath}${BANK_EXTENSIONS.includes(extension) ? extension : ".docx"}`;
+}
+
+// A bank route may carry a shared run, e.g.
+// `/network?format=json&mode=random&count=50&seed=k3x9a1`, plus `start` for
+// sequential runs and one `tag` per tag filter. Without a valid seed the
+// query is ignored.
+function resolveSharedRunFromSearch(search) {
+  const params = new URLSearchParams(search || "");
+  const seed = parseSeed(params.get("seed"));
+  if (!seed) {
+    return null;
+  }
+  return {
+    mode: params.get("mode") === "sequential" ? "sequential" : "random",
+    count: Math.max(1, Number.parseInt(params.get("count"), 10) || 1),
+    start: Math.max(1, Number.parseInt(params.get("start"), 10) || 1),
+    tags: params.getAll("tag").filter(Boolean),
+    seed
+  };
+}
+
+// `bankPath` is the bank's app route, which may already carry `?format=`.
+function buildShareUrl(bankPath, share) {
+  const url = new URL(bankPath, window.location.origin);
+  url.searchParams.set("mode", share.mode);
+  url.searchParams.set("count", String(share.count));
+  if (share.mode === "sequential") {
+    url.searchParams.set("start", String(share.start));
+  }
+  share.tags.forEach((tag) => url.searchParams.append("tag", tag));
+  url.searchParams.set("seed", share.seed);
+  return url.href;
+}
+
+function QuestionNotes({ explanation, reference }) {
+  const { t } = useI18n();
+  if (!explanation && !reference) {
+    return null;
+  }
+
+  return (
+    <div className="question-notes">
+      {explanation ? (
+        <div>
+          <strong>{t("question.explanation")}</strong>
+          <p>{explanation}</p>
+        </div>
+      ) : null}
+      {reference ? (
+        <div>
+          <strong>{t("question.reference")}</strong>
+          <p>{reference}</p>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+// Bank tags are fixed; tags added here are stored per bank and question
+// number and survive re-importing the bank.
+function QuestionTags({ question, manualTags, onSave }) {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState("");
+  const { t } = useI18n();
+  const sourceTags = question.tags || [];
+  const ownTags = manualTagsOf(question, manualTags).filter((tag) => !sourceTags.includes(tag));
+
+  useEffect(() => {
+    setEditing(false);
+  }, [question]);
+
+  function startEditing() {
+    setDraft(ownTags.join(", "));
+    setEditing(true);
+  }
+
+  function save(event) {
+    event.preventDefault();
+    onSave(
+      question,
+      parseTagList(draft).filter((tag) => !sourceTags.includes(tag))
+    );
+    setEditing(false);
+  }
+
+  return (
+    <div className="question-tags">
+      {sourceTags.map((tag) => (
+        <span key={tag} className="tag-chip">
+          {tag}
+        </span>
+      ))}
+      {ownTags.map((tag) => (
+        <span key={tag} className="tag-chip manual">
+          {tag}
+        </span>
+      ))}
+      {editing ? (
+        <form className="tag-editor" onSubmit={save}>
+          <input
+            type="text"
+            value={draft}
+            placeholder={t("tags.placeholder")}
+            onChange={(event) => setDraft(event.target.value)}
+            autoFocus
+          />
+          <button type="submit" className="secondary">
+            {t("common.save")}
+          </button>
+          <button type="button" className="secondary" onClick={() => setEditing(false)}>
+            {t("common.cancel")}
+          </button>
+        </form>
+      ) : (
+        <button type="button" className="tag-edit-btn" onClick={startEditing}>
+          {ownTags.length > 0 ? t("tags.edit") : t("tags.add")}
+        </button>
+      )}
+    </div>
+  );
 }
 
 function OptionItem({ questionType, letter, text, checked, disabled, onChange, fontSize }) {
@@ -297,6 +490,7 @@ function OptionItem({ questionType, letter, text, checked, disabled, onChange, f
         name="quiz-option"
         checked={checked}
         disabled={disabled}
+        aria-keyshortcuts={letter}
         onChange={(event) => onChange(letter, event.target.checked)}
       />
       <span style={{ fontSize: `${fontSize}px` }}>
@@ -306,6 +500,104 @@ function OptionItem({ questionType, letter, text, checked, disabled, onChange, f
   );
 }
 
+function OrderingInput({ order, texts, disabled, onChange, fontSize }) {
+  const [dragIndex, setDragIndex] = useState(null);
+  const { t } = useI18n();
+
+  function move(from, to) {
+    if (from === null || to < 0 || to >= order.length || from === to) {
+      return;
+    }
+    const next = [...order];
+    const [item] = next.splice(from, 1);
+    next.splice(to, 0, item);
+    onChange(next);
+  }
+
+  return (
+    <ol className="ordering-list">
+      {order.map((letter, index) => (
+        <li
+          key={letter}
+          className={`ordering-item ${dragIndex === index ? "dragging" : ""} ${disabled ? "disabled" : ""}`}
+          draggable={!disabled}
+          onDragStart={(event) => {
+            setDragIndex(index);
+            event.dataTransfer.effectAllowed = "move";
+          }}
+          onDragOver={(event) => {
+            if (dragIndex !== null) {
+              event.preventDefault();
+            }
+          }}
+          onDrop={(event) => {
+            event.preventDefault();
+            move(dragIndex, index);
+            setDragIndex(null);
+          }}
+          onDragEnd={() => setDragIndex(null)}
+        >
+          <span className="ordering-position">{index + 1}</span>
+          <span className="ordering-text" style={{ fontSize: `${fontSize}px` }}>
+            {letter}. {texts[letter]}
+          </span>
+          <span className="ordering-buttons">
+            <button type="button" disabled={disabled || index === 0} onClick={() => move(index, index - 1)} aria-label={t("ordering.moveUp")}>
+              ↑
+            </button>
+            <button
+              type="button"
+              disabled={disabled || index === order.length - 1}
+              onClick={() => move(index, index + 1)}
+              aria-label={t("ordering.moveDown")}
+            >
+              ↓
+            </button>
+          </span>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+function MatchingInput({ targets, options, pairs, disabled, onChange, fontSize }) {
+  const letters = Object.keys(options).sort();
+  const { t } = useI18n();
+
+  return (
+    <div className="matching-wrap">
+      <div className="options-wrap">
+        {letters.map((letter) => (
+          <div key={letter} className="option-card">
+            <span style={{ fontSize: `${fontSize}px` }}>
+              {letter}. {options[letter]}
+            </span>
+          </div>
+        ))}
+      </div>
+      {targets.map((target) => (
+        <label key={target.key} className="matching-row">
+          <span style={{ fontSize: `${fontSize}px` }}>
+            {target.key}. {target.text || t("matching.position", { key: target.key })}
+          </span>
+          <select
+            value={pairs[target.key] || ""}
+            disabled={disabled}
+            onChange={(event) => onChange({ ...pairs, [target.key]: event.target.value })}
+          >
+            <option value="">{t("matching.choose")}</option>
+            {letters.map((letter) => (
+              <option key={letter} value={letter}>
+                {letter}
+              </option>
+            ))}
+          </select>
+        </label>
+      ))}
+    </div>
+  );
+}
+
 function SettingsModal({
   visible,
   onClose,
@@ -314,23 +606,31 @@ function SettingsModal({
   setSettings,
   totalQuestions,
   maxQuestionNumber,
-  sortedQuestions
+  sortedQuestions,
+  wrongCount,
+  gradableTotal,
+  dueCount,
+  tagOptions,
+  poolHasLocalChanges
 }) {
+  const { t } = useI18n();
   if (!visible) {
     return null;
   }
 
-  const sequentialMax =
-    settings.mode === "sequential"
-      ? computeSequentialMaxCount(sortedQuestions, settings.startQuestion)
-      : totalQuestions;
-
-  const safeTotal = Math.max(1, totalQuestions);
+  const modeMax = computeModeMaxCount(
+    settings.mode,
+    sortedQuestions,
+    settings.startQuestion,
+    totalQuestions,
+    wrongCount,
+    gradableTotal
+  );
 
   function updateMode(mode) {
     setSettings((prev) => {
       const next = { ...prev, mode };
-      const maxCount = mode === "sequential" ? computeSequentialMaxCount(sortedQuestions, next.startQuestion) : safeTotal;
+      const maxCount = computeModeMaxCount(mode, sortedQuestions, next.startQuestion, totalQuestions, wrongCount, gradableTotal);
       next.numQuestions = clamp(next.numQuestions, 1, maxCount);
       return next;
     });
@@ -338,7 +638,7 @@ function SettingsModal({
 
   function updateNumQuestions(value) {
     setSettings((prev) => {
-      const maxCount = prev.mode === "sequential" ? computeSequentialMaxCount(sortedQuestions, prev.startQuestion) : safeTotal;
+      const maxCount = computeModeMaxCount(prev.mode, sortedQuestions, prev.startQuestion, totalQuestions, wrongCount, gradableTotal);
       return {
         ...prev,
         numQuestions: clamp(Number(value) || 1, 1, maxCount)
@@ -358,13 +658,44 @@ function SettingsModal({
     });
   }
 
+  function updateExamSeconds(value) {
+    setSettings((prev) => ({
+      ...prev,
+      examSecondsPerQuestion: clamp(Number(value) || 1, 10, 600)
+    }));
+  }
+
+  function toggleTag(tag, checked) {
+    setSettings((prev) => ({
+      ...prev,
+      tags: checked ? [...prev.tags, tag] : prev.tags.filter((item) => item !== tag)
+    }));
+  }
+
+  function updateGraduateStreak(value) {
+    setSettings((prev) => ({
+      ...prev,
+      graduateStreak: clamp(Number(value) || 1, 1, 10)
+    }));
+  }
+
   return (
     <div className="modal-backdrop">
       <div className="modal-card">
-        <h2>练习设置</h2>
+        <h2>{t("settings.title")}</h2>
+
+        {settings.seed ? (
+          <p className="settings-hint">
+            {t("settings.sharedSeed", { seed: settings.seed })}{" "}
+            {poolHasLocalChanges ? t("settings.sharedIgnoresLocal") + " " : ""}
+            <button type="button" className="tag-edit-btn" onClick={() => setSettings((prev) => ({ ...prev, seed: "" }))}>
+              {t("settings.newSeed")}
+            </button>
+          </p>
+        ) : null}
 
         <div className="settings-row">
-          <span>练习模式:</span>
+          <span>{t("settings.mode")}</span>
           <label>
             <input
               type="radio"
@@ -372,7 +703,7 @@ function SettingsModal({
               checked={settings.mode === "random"}
               onChange={() => updateMode("random")}
             />
-            随机模式
+            {t("settings.mode.random")}
           </label>
           <label>
             <input
@@ -381,36 +712,79 @@ function SettingsModal({
               checked={settings.mode === "sequential"}
               onChange={() => updateMode("sequential")}
             />
-            顺序模式
+            {t("settings.mode.sequential")}
+          </label>
+          <label>
+            <input
+              type="radio"
+              name="mode"
+              checked={settings.mode === "wrong"}
+              disabled={wrongCount === 0}
+              onChange={() => updateMode("wrong")}
+            />
+            {t("settings.mode.wrong")}
+          </label>
+          <label>
+            <input
+              type="radio"
+              name="mode"
+              checked={settings.mode === "due"}
+              disabled={gradableTotal === 0}
+              onChange={() => updateMode("due")}
+            />
+            {t("settings.mode.due")}
           </label>
         </div>
 
+        {tagOptions.length > 0 && (
+          <div className="settings-row tag-filter">
+            <span>{t("settings.tagFilter")}</span>
+            {tagOptions.map(({ tag, count }) => (
+              <label key={tag} className={`tag-chip ${settings.tags.includes(tag) ? "selected" : ""}`}>
+                <input
+                  type="checkbox"
+                  checked={settings.tags.includes(tag)}
+                  onChange={(event) => toggleTag(tag, event.target.checked)}
+                />
+                {tag} ({count})
+              </label>
+            ))}
+            {settings.tags.length > 0 ? (
+              <small>{t("settings.tagsSelected", { tags: settings.tags.length, count: totalQuestions })}</small>
+            ) : null}
+          </div>
+        )}
+
+        {settings.mode === "due" && (
+          <p className="settings-hint">{t("settings.dueHint", { count: dueCount })}</p>
+        )}
+
         <div className="settings-row">
-          <span>练习题目数量:</span>
+          <span>{t("settings.count")}</span>
           <input
             type="number"
             min={1}
-            max={settings.mode === "sequential" ? sequentialMax : safeTotal}
+            max={modeMax}
             value={settings.numQuestions}
             onChange={(event) => updateNumQuestions(event.target.value)}
           />
         </div>
 
         <div className="quick-buttons">
-          <button type="button" onClick={() => updateNumQuestions(Math.min(50, settings.mode === "sequential" ? sequentialMax : safeTotal))}>
-            50题
+          <button type="button" onClick={() => updateNumQuestions(Math.min(50, modeMax))}>
+            {t("settings.countQuick", { count: 50 })}
           </button>
-          <button type="button" onClick={() => updateNumQuestions(Math.min(100, settings.mode === "sequential" ? sequentialMax : safeTotal))}>
-            100题
+          <button type="button" onClick={() => updateNumQuestions(Math.min(100, modeMax))}>
+            {t("settings.countQuick", { count: 100 })}
           </button>
-          <button type="button" onClick={() => updateNumQuestions(settings.mode === "sequential" ? sequentialMax : safeTotal)}>
-            全部({settings.mode === "sequential" ? sequentialMax : safeTotal}题)
+          <button type="button" onClick={() => updateNumQuestions(modeMax)}>
+            {t("settings.countAll", { count: modeMax })}
           </button>
         </div>
 
         {settings.mode === "sequential" && (
           <div className="settings-row">
-            <span>起始题号:</span>
+            <span>{t("settings.start")}</span>
             <input
               type="number"
               min={1}
@@ -418,16 +792,89 @@ function SettingsModal({
               value={settings.startQuestion}
               onChange={(event) => updateStartQuestion(event.target.value)}
             />
-            <small>原始题号范围: 1-{Math.max(1, maxQuestionNumber)}</small>
+            <small>{t("settings.startRange", { max: Math.max(1, maxQuestionNumber) })}</small>
+          </div>
+        )}
+
+        <div className="settings-row">
+          <span>{t("settings.exam")}</span>
+          <label>
+            <input
+              type="checkbox"
+              checked={settings.examMode}
+              onChange={(event) => setSettings((prev) => ({ ...prev, examMode: event.target.checked }))}
+            />
+            {t("settings.examDescription")}
+          </label>
+        </div>
+
+        {settings.examMode && (
+          <div className="settings-row">
+            <span>{t("settings.examSeconds")}</span>
+            <input
+              type="number"
+              min={10}
+              max={600}
+              value={settings.examSecondsPerQuestion}
+              onChange={(event) => updateExamSeconds(event.target.value)}
+            />
+            <small>{t("settings.examTotal", { duration: formatDuration(settings.examSecondsPerQuestion * settings.numQuestions) })}</small>
+          </div>
+        )}
+
+        <div className="settings-row">
+          <span>{t("settings.scoring")}</span>
+          {SCORING_POLICIES.map((policy) => (
+            <label key={policy}>
+              <input
+                type="radio"
+                name="scoring"
+                checked={settings.scoring === policy}
+                onChange={() => setSettings((prev) => ({ ...prev, scoring: policy }))}
+              />
+              {t(`scoring.${policy}`)}
+            </label>
+          ))}
+        </div>
+        <p className="settings-hint">{t(`scoring.${settings.scoring}.hint`)}</p>
+
+        <div className="settings-row">
+          <span>{t("settings.answerCount")}</span>
+          <label>
+            <input
+              type="checkbox"
+              checked={settings.hideAnswerCount}
+              onChange={(event) => setSettings((prev) => ({ ...prev, hideAnswerCount: event.target.checked }))}
+            />
+            {t("settings.hideAnswerCount")}
+          </label>
+        </div>
+
+        {settings.mode === "wrong" && (
+          <div className="settings-row">
+            <span>{t("settings.graduate")}</span>
+            <input
+              type="number"
+              min={1}
+              max={10}
+              value={settings.graduateStreak}
+              onChange={(event) => updateGraduateStreak(event.target.value)}
+            />
+            <small>{t("settings.graduateHint")}</small>
           </div>
         )}
 
         <div className="modal-actions">
           <button type="button" className="secondary" onClick={onClose}>
-            取消
+            {t("common.cancel")}
           </button>
-          <button type="button" className="primary" onClick={onStart}>
-            开始练习
+          <button
+            type="button"
+            className="primary"
+            onClick={onStart}
+            disabled={settings.mode === "wrong" ? wrongCount === 0 : totalQuestions === 0}
+          >
+            {t("settings.startButton")}
           </button>
         </div>
       </div>
@@ -435,27 +882,388 @@ function SettingsModal({
   );
 }
 
-function WrongAnswersModal({ visible, wrongAnswers, onClose, onClear, fontSize }) {
+function LibraryModal({ visible, entries, activeBanks, onApply, onRemove, onAddQuestion, onImport, onClose }) {
+  const [selected, setSelected] = useState([]);
+  const { t, formatDateTime } = useI18n();
+
+  useEffect(() => {
+    if (visible) {
+      setSelected(activeBanks);
+    }
+  }, [visible, activeBanks]);
+
   if (!visible) {
     return null;
   }
 
+  const selectedEntries = entries.filter((entry) => selected.includes(entry.name));
+  const selectedTotal = selectedEntries.reduce((sum, entry) => sum + entry.questions.length, 0);
+
+  function toggle(name, checked) {
+    setSelected((prev) => (checked ? [...prev, name] : prev.filter((item) => item !== name)));
+  }
+
   return (
     <div className="modal-backdrop">
       <div className="modal-card modal-large">
-        <h2>错题本 ({wrongAnswers.length} 题)</h2>
+        <h2>{t("library.title", { count: entries.length })}</h2>
+        <p className="settings-hint">{t("library.hint")}</p>
 
-        {wrongAnswers.length === 0 ? (
-          <p>错题本中还没有题目。</p>
+        {entries.length === 0 ? (
+          <p>{t("library.empty")}</p>
         ) : (
-          <div className="wrong-list" style={{ fontSize: `${fontSize}px` }}>
-            {wrongAnswers.map((record) => (
-              <article key={record.original_number} className="wrong-item">
-                <div className="wrong-item-header">
-                  <strong>原题号: {record.original_number}</strong>
-                  {record.is_multiple_choice ? <span>【多选题】</span> : null}
+          <ul className="library-list">
+            {entries.map((entry) => (
+              <li key={entry.name} className="library-item">
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(entry.name)}
+                    onChange={(event) => toggle(entry.name, event.target.checked)}
+                  />
+                  <strong>{entry.name}</strong>
+                </label>
+                <span>
+                  {t("common.questionCount", { count: entry.questions.length })} ·{" "}
+                  {t("common.updatedAt", { time: formatDateTime(entry.updatedAt) })}
+                </span>
+                <div className="library-item-actions">
+                  <button type="button" className="secondary" onClick={() => onAddQuestion(entry.name)}>
+                    {t("library.addQuestion")}
+                  </button>
+                  <button type="button" className="secondary" onClick={() => onRemove(entry.name)}>
+                    {t("common.delete")}
+                  </button>
                 </div>
-                <p className="wrong-question">题目: {record.question_text}</p>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="modal-actions">
+          <button type="button" className="secondary" onClick={onImport}>
+            {t("library.import")}
+          </button>
+          <button type="button" className="secondary" onClick={onClose}>
+            {t("common.cancel")}
+          </button>
+          <button type="button" onClick={() => onApply(selected)} disabled={selectedEntries.length === 0}>
+            {t("library.apply", { count: selectedTotal })}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Diagnostics saved before they carried `params` only have the message in
+// the locale they were parsed with.
+function diagnosticMessage(t, item) {
+  return item.params ? t(`diagnostics.message.${item.type}`, item.params) : item.message;
+}
+
+function DiagnosticsPanel({ diagnostics, bankName, onDismiss }) {
+  const { t } = useI18n();
+  if (diagnostics.length === 0) {
+    return null;
+  }
+
+  const counts = diagnostics.reduce((acc, item) => ({ ...acc, [item.type]: (acc[item.type] || 0) + 1 }), {});
+
+  return (
+    <section className="card diagnostics-card">
+      <div className="diagnostics-header">
+        <strong>{t("diagnostics.title", { bank: bankName, count: diagnostics.length })}</strong>
+        <button type="button" className="secondary" onClick={onDismiss}>
+          {t("common.close")}
+        </button>
+      </div>
+      <div className="diagnostics-summary">
+        {Object.entries(counts).map(([type, count]) => (
+          <span key={type} className={`diagnostic-tag diagnostic-${type}`}>
+            {t(`diagnostics.type.${type}`)}: {count}
+          </span>
+        ))}
+      </div>
+      <details>
+        <summary>{t("diagnostics.details")}</summary>
+        <ul className="diagnostics-list">
+          {diagnostics.map((item, index) => (
+            <li key={`${item.type}-${item.number}-${index}`}>
+              <div>
+                <span className={`diagnostic-tag diagnostic-${item.type}`}>{t(`diagnostics.type.${item.type}`)}</span>
+                <strong>{t("diagnostics.number", { number: item.number })}</strong> {diagnosticMessage(t, item)}
+              </div>
+              {item.snippet ? (
+                <pre className="diagnostic-snippet">
+                  {item.snippetLines ? formatSnippet(item.snippetLines, t) : item.snippet}
+                </pre>
+              ) : null}
+            </li>
+          ))}
+        </ul>
+      </details>
+    </section>
+  );
+}
+
+// banks.json may be written by hand, so each entry is checked before it is
+// shown: the format falls back to the file extension, and entries without a
+// bank file or with an undecodable path are left out.
+function normalizeCatalogueEntry(bank) {
+  if (!bank || typeof bank.file !== "string" || !getBankExtension(bank.file)) {
+    return null;
+  }
+  const path = typeof bank.path === "string" && bank.path ? bank.path : bankRoutePath(`/${encodeURIComponent(bank.file)}`);
+  if (!path.startsWith("/")) {
+    return null;
+  }
+  let displayPath;
+  try {
+    displayPath = decodeURIComponent(path);
+  } catch {
+    return null;
+  }
+  const updatedAt = Number.isNaN(Date.parse(bank.updatedAt)) ? "" : bank.updatedAt;
+  return {
+    ...bank,
+    path,
+    displayPath,
+    format: typeof bank.format === "string" && bank.format ? bank.format : getBankExtension(bank.file).slice(1),
+    title: typeof bank.title === "string" && bank.title ? bank.title : bank.file,
+    questionCount: Number.isFinite(bank.questionCount) ? bank.questionCount : 0,
+    updatedAt
+  };
+}
+
+function BankCatalogue({ banks }) {
+  const { t, formatDate } = useI18n();
+  if (banks.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bank-catalogue">
+      <h2>{t("catalogue.title")}</h2>
+      <ul className="bank-catalogue-list">
+        {banks.map((bank) => (
+          <li key={bank.file}>
+            <a href={bank.path} className={bank.error ? "bank-entry broken" : "bank-entry"}>
+              <strong>{bank.title}</strong>
+              <span>
+                {bank.error ? t("catalogue.parseFailed") : t("common.questionCount", { count: bank.questionCount })} ·{" "}
+                {bank.format.toUpperCase()}
+                {bank.updatedAt ? ` · ${t("common.updatedAt", { time: formatDate(bank.updatedAt) })}` : ""}
+              </span>
+              <code>{bank.displayPath}</code>
+            </a>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+const NAVIGATOR_STATUSES = ["unanswered", "saved", "correct", "partial", "wrong", "info"];
+
+// Exam answers stay "saved" until the exam is graded.
+function navigatorStatus(question, result, showGrading) {
+  if (!question.canSubmit) {
+    return "info";
+  }
+  if (!result) {
+    return "unanswered";
+  }
+  if (!showGrading) {
+    return "saved";
+  }
+  if (result.isCorrect) {
+    return "correct";
+  }
+  return creditOf(result) > 0 ? "partial" : "wrong";
+}
+
+// The next gradable question without an answer after `fromIndex`, wrapping
+// around to the start of the run; -1 when every one is answered.
+function findNextUnanswered(quizQuestions, answersState, fromIndex) {
+  for (let step = 1; step <= quizQuestions.length; step += 1) {
+    const index = (fromIndex + step) % quizQuestions.length;
+    if (quizQuestions[index].canSubmit && !answersState[index]) {
+      return index;
+    }
+  }
+  return -1;
+}
+
+function QuestionNavigator({ quizQuestions, answersState, flaggedIndexes, currentIndex, showGrading, onJump }) {
+  const nextUnanswered = findNextUnanswered(quizQuestions, answersState, currentIndex);
+  const statuses = quizQuestions.map((question, index) => navigatorStatus(question, answersState[index], showGrading));
+  const legend = NAVIGATOR_STATUSES.filter((status) => statuses.includes(status));
+  const { t } = useI18n();
+
+  return (
+    <nav className="card navigator-card" aria-label={t("navigator.title")}>
+      <div className="navigator-header">
+        <h2>{t("navigator.title")}</h2>
+        <button
+          type="button"
+          className="secondary"
+          onClick={() => onJump(nextUnanswered)}
+          disabled={nextUnanswered < 0}
+          aria-keyshortcuts="N"
+        >
+          {t("navigator.nextUnanswered")}
+        </button>
+      </div>
+      <ol className="navigator-grid">
+        {quizQuestions.map((question, index) => {
+          const status = statuses[index];
+          const flagged = Boolean(flaggedIndexes[index]);
+          return (
+            <li key={index}>
+              <button
+                type="button"
+                className={`navigator-tile navigator-${status} ${flagged ? "flagged" : ""} ${index === currentIndex ? "current" : ""}`}
+                onClick={() => onJump(index)}
+                aria-current={index === currentIndex ? "true" : undefined}
+                aria-label={t(flagged ? "navigator.tileFlagged" : "navigator.tile", {
+                  position: index + 1,
+                  number: question.number,
+                  status: t(`navigator.status.${status}`)
+                })}
+              >
+                {index + 1}
+                {flagged ? <span className="navigator-flag">⚑</span> : null}
+              </button>
+            </li>
+          );
+        })}
+      </ol>
+      <div className="navigator-legend">
+        {legend.map((status) => (
+          <span key={status}>
+            <i className={`navigator-swatch navigator-${status}`} />
+            {t(`navigator.status.${status}`)}
+          </span>
+        ))}
+        {Object.keys(flaggedIndexes).length > 0 ? <span>⚑ {t("navigator.flagged")}</span> : null}
+      </div>
+    </nav>
+  );
+}
+
+const SHORTCUTS = [
+  ["A – F", "shortcuts.options"],
+  ["Enter", "shortcuts.submit"],
+  ["← / →", "shortcuts.navigate"],
+  ["F", "shortcuts.flag"],
+  ["N", "shortcuts.nextUnanswered"],
+  ["?", "shortcuts.toggleHelp"],
+  ["Esc", "shortcuts.closeHelp"]
+];
+
+// Text fields keep their keys; shortcuts only apply elsewhere on the page.
+function isTypingTarget(target) {
+  return Boolean(
+    target?.closest?.('input[type="text"], input[type="number"], input[type="search"], input[type="password"], textarea, select, [contenteditable="true"]')
+  );
+}
+
+function ShortcutHelpModal({ visible, onClose }) {
+  const { t } = useI18n();
+  if (!visible) {
+    return null;
+  }
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal-card" role="dialog" aria-modal="true" aria-labelledby="shortcut-help-title">
+        <h2 id="shortcut-help-title">{t("shortcuts.title")}</h2>
+        <table className="shortcut-table">
+          <tbody>
+            {SHORTCUTS.map(([keys, actionKey]) => (
+              <tr key={keys}>
+                <th scope="row">
+                  <kbd>{keys}</kbd>
+                </th>
+                <td>{t(actionKey)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p className="settings-hint">{t("shortcuts.hint")}</p>
+        <div className="modal-actions">
+          <button type="button" className="primary" onClick={onClose} autoFocus>
+            {t("shortcuts.dismiss")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function ResumeSessionModal({ session, onResume, onDiscard }) {
+  const { t, formatDateTime } = useI18n();
+  if (!session) {
+    return null;
+  }
+
+  const answered = Object.keys(session.answersState || {}).length;
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal-card">
+        <h2>{t("resume.title")}</h2>
+        <p>{t("resume.bank", { bank: session.bank })}</p>
+        <p>
+          {t("resume.progress", {
+            position: session.currentIndex + 1,
+            total: session.quizQuestions.length,
+            count: answered
+          })}
+          {session.examRun ? t("resume.examNote") : ""}
+        </p>
+        <p>{t("resume.savedAt", { time: formatDateTime(session.savedAt) })}</p>
+        <div className="modal-actions">
+          <button type="button" className="secondary" onClick={onDiscard}>
+            {t("resume.discard")}
+          </button>
+          <button type="button" className="primary" onClick={onResume}>
+            {t("resume.resume")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function WrongAnswersModal({ visible, wrongAnswers, onClose, onClear, fontSize }) {
+  const { t, formatDateTime } = useI18n();
+  if (!visible) {
+    return null;
+  }
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal-card modal-large">
+        <h2>{t("wrong.title", { count: wrongAnswers.length })}</h2>
+
+        {wrongAnswers.length === 0 ? (
+          <p>{t("wrong.empty")}</p>
+        ) : (
+          <div className="wrong-list" style={{ fontSize: `${fontSize}px` }}>
+            {wrongAnswers.map((record) => (
+              <article key={`${record.bank || ""}#${record.original_number}`} className="wrong-item">
+                <div className="wrong-item-header">
+                  <strong>
+                    {t("common.numberLabel")} {record.original_number}
+                  </strong>
+                  {record.bank ? <span className="bank-tag">{record.bank}</span> : null}
+                  {record.is_multiple_choice ? <span>{t("question.kindTag.multi")}</span> : null}
+                  {record.question_kind === "ordering" ? <span>{t("question.kindTag.ordering")}</span> : null}
+                  {record.question_kind === "matching" ? <span>{t("question.kindTag.matching")}</span> : null}
+                </div>
+                <p className="wrong-question">{t("wrong.question", { text: record.question_text })}</p>
                 <div className="wrong-options">
                   {Object.keys(record.options)
                     .sort()
@@ -465,9 +1273,11 @@ function WrongAnswersModal({ visible, wrongAnswers, onClose, onClear, fontSize }
                       </div>
                     ))}
                 </div>
-                <p>正确答案: {record.correct_answer}</p>
-                <p>你的答案: {record.user_answer || "(未作答)"}</p>
-                <p>答错时间: {new Date(record.timestamp).toLocaleString()}</p>
+                <p>{t("wrong.correctAnswer", { answer: record.correct_answer })}</p>
+                <p>{t("wrong.yourAnswer", { answer: record.user_answer || t("wrong.noAnswer") })}</p>
+                <QuestionNotes explanation={record.explanation} reference={record.reference} />
+                {record.correct_streak > 0 ? <p>{t("wrong.streak", { count: record.correct_streak })}</p> : null}
+                <p>{t("wrong.time", { time: formatDateTime(record.timestamp) })}</p>
               </article>
             ))}
           </div>
@@ -475,10 +1285,10 @@ function WrongAnswersModal({ visible, wrongAnswers, onClose, onClear, fontSize }
 
         <div className="modal-actions">
           <button type="button" className="danger" onClick={onClear} disabled={wrongAnswers.length === 0}>
-            清空错题本
+            {t("wrong.clear")}
           </button>
           <button type="button" className="secondary" onClick={onClose}>
-            关闭
+            {t("common.close")}
           </button>
         </div>
       </div>
@@ -486,24 +1296,181 @@ function WrongAnswersModal({ visible, wrongAnswers, onClose, onClear, fontSize }
   );
 }
 
-function FinalResultModal({ visible, total, score, wrongCount, onClose }) {
+const EXPORT_FORMATS = [
+  { id: "json", label: "JSON", extension: "json", mimeType: "application/json", build: buildQuestionsJson },
+  {
+    id: "docx",
+    label: "Word (DOCX)",
+    extension: "docx",
+    mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    build: buildQuestionsDocx
+  },
+  { id: "csv", label: "CSV", extension: "csv", mimeType: "text/csv", build: buildQuestionsCsv },
+  { id: "anki", label: "Anki (TSV)", extension: "anki.txt", mimeType: "text/tab-separated-values", build: buildAnkiDeck }
+];
+
+function ExportModal({ visible, bankName, questions, notebookQuestions, onClose }) {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const { t, errorMessage, locale } = useI18n();
+
   if (!visible) {
     return null;
   }
 
-  const percentage = total > 0 ? (score / total) * 100 : 0;
+  const baseName = (bankName || "questions").replace(/\.[^.]+$/, "");
+
+  async function runExport(format, list, suffix) {
+    setBusy(true);
+    setError("");
+    try {
+      const content = await format.build(list, `${baseName}${suffix}`, locale);
+      downloadFile(`${baseName}${suffix}.${format.extension}`, content, format.mimeType);
+    } catch (exportError) {
+      setError(errorMessage(exportError, "export.failed"));
+    } finally {
+      setBusy(false);
+    }
+  }
 
   return (
     <div className="modal-backdrop">
       <div className="modal-card">
-        <h2>练习完成</h2>
-        <p>总题数: {total}</p>
-        <p>正确数: {score}</p>
-        <p>正确率: {percentage.toFixed(1)}%</p>
-        <p>错题本中共有 {wrongCount} 道题目</p>
+        <h2>{t("export.title")}</h2>
+
+        <div className="settings-row">
+          <span>{t("export.bank", { count: questions.length })}</span>
+          {EXPORT_FORMATS.map((format) => (
+            <button
+              key={format.id}
+              type="button"
+              className="secondary"
+              disabled={busy || questions.length === 0}
+              onClick={() => runExport(format, questions, "")}
+            >
+              {format.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="settings-row">
+          <span>{t("export.notebook", { count: notebookQuestions.length })}</span>
+          {EXPORT_FORMATS.map((format) => (
+            <button
+              key={format.id}
+              type="button"
+              className="secondary"
+              disabled={busy || notebookQuestions.length === 0}
+              onClick={() => runExport(format, notebookQuestions, "-wrong")}
+            >
+              {format.label}
+            </button>
+          ))}
+        </div>
+
+        <p className="settings-hint">{t("export.hint")}</p>
+        {busy ? <p className="settings-hint">{t("export.busy")}</p> : null}
+        {error ? <p className="error-text">{error}</p> : null}
+
+        <div className="modal-actions">
+          <button type="button" className="secondary" onClick={onClose}>
+            {t("common.close")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function FinalResultModal({
+  visible,
+  total,
+  score,
+  correctCount,
+  scoring,
+  wrongCount,
+  breakdown,
+  tagAccuracy,
+  onReview,
+  onClose
+}) {
+  const { t, formatPercent } = useI18n();
+  if (!visible) {
+    return null;
+  }
+
+  const ratio = total > 0 ? score / total : 0;
+
+  return (
+    <div className="modal-backdrop">
+      <div className={`modal-card ${breakdown ? "modal-large" : ""}`}>
+        <h2>{breakdown ? t("final.examTitle") : t("final.practiceTitle")}</h2>
+        <p>{t("final.total", { count: total })}</p>
+        <p>{t("final.correct", { count: correctCount })}</p>
+        {scoring === "strict" ? null : (
+          <p>{t("final.score", { score: formatScore(score), policy: t(`scoring.${scoring}`) })}</p>
+        )}
+        <p>{t(scoring === "strict" ? "final.accuracy" : "final.scoreRate", { value: formatPercent(ratio) })}</p>
+        <p>{t("final.notebook", { count: wrongCount })}</p>
+        {tagAccuracy.length > 1 || (tagAccuracy.length === 1 && tagAccuracy[0].tag !== UNTAGGED_LABEL) ? (
+          <table className="breakdown-table">
+            <thead>
+              <tr>
+                <th>{t("final.tag")}</th>
+                <th>{t("final.tagCorrect")}</th>
+                <th>{t("final.tagAccuracy")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {tagAccuracy.map((entry) => (
+                <tr key={entry.tag}>
+                  <td>{entry.tag === UNTAGGED_LABEL ? t("tags.untagged") : entry.tag}</td>
+                  <td>
+                    {formatScore(entry.correct)}/{entry.total}
+                  </td>
+                  <td>{formatPercent(entry.accuracy)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : null}
+        {breakdown ? (
+          <div className="breakdown-wrap">
+            <table className="breakdown-table clickable">
+              <thead>
+                <tr>
+                  <th>{t("final.position")}</th>
+                  <th>{t("common.number")}</th>
+                  <th>{t("final.yourAnswer")}</th>
+                  <th>{t("final.correctAnswer")}</th>
+                  {scoring === "strict" ? null : <th>{t("final.credit")}</th>}
+                  <th>{t("final.result")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {breakdown.map((row) => (
+                  <tr key={row.index} className={`breakdown-${row.status}`} onClick={() => onReview(row.index)}>
+                    <td>
+                      {row.index + 1}
+                      {row.flagged ? " ⚑" : ""}
+                    </td>
+                    <td>{row.number}</td>
+                    <td>{row.userAnswer || t("wrong.noAnswer")}</td>
+                    <td>{row.correctAnswer || "-"}</td>
+                    {scoring === "strict" ? null : <td>{row.credit === null ? "-" : formatScore(row.credit)}</td>}
+                    <td>
+{t(`final.status.${row.status}`)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <small>{t("final.reviewHint")}</small>
+          </div>
+        ) : null}
         <div className="modal-actions">
           <button type="button" className="primary" onClick={onClose}>
-            确定
+            {t("common.ok")}
           </button>
         </div>
       </div>
@@ -512,38 +1479,92 @@ function FinalResultModal({ visible, total, score, wrongCount, onClose }) {
 }
 
 export default function App() {
-  const [questions, setQuestions] = useState([]);
+  const { t, locale, setLocale, errorMessage } = useI18n();
+  const [libraryBanks, setLibraryBanks] = useState([]);
+  const [activeBanks, setActiveBanks] = useState([]);
+  const [edits, setEdits] = useState({});
+  const [editorTarget, setEditorTarget] = useState(null);
+  // `{ images, index }` of the exhibit open in the lightbox.
+  const [lightbox, setLightbox] = useState(null);
+  const [diagnostics, setDiagnostics] = useState([]);
   const [quizQuestions, setQuizQuestions] = useState([]);
-  const [sourceFileName, setSourceFileName] = useState("");
 
   const [currentIndex, setCurrentIndex] = useState(0);
   const [score, setScore] = useState(0);
   const [answersState, setAnswersState] = useState({});
   const [draftSelections, setDraftSelections] = useState({});
   const [warning, setWarning] = useState("");
+  const [flaggedIndexes, setFlaggedIndexes] = useState({});
+  const [examRun, setExamRun] = useState(null);
+  const [examNow, setExamNow] = useState(() => Date.now());
+  // Scoring rules fixed when a run starts, so changing the settings dialog
+  // mid-run does not regrade it.
+  const [runRules, setRunRules] = useState(DEFAULT_RUN_RULES);
 
   const [wrongAnswers, setWrongAnswers] = useState(() => readJsonStorage(WRONG_STORAGE_KEY, []));
+  const [srsState, setSrsState] = useState(() => readJsonStorage(SRS_STORAGE_KEY, {}));
+  const [manualTags, setManualTagsState] = useState(() => readJsonStorage(TAGS_STORAGE_KEY, {}));
   const [fontSize, setFontSize] = useState(() => {
     const saved = readJsonStorage(FONT_STORAGE_KEY, { font_size: DEFAULT_FONT_SIZE });
     return clamp(Number(saved.font_size) || DEFAULT_FONT_SIZE, MIN_FONT_SIZE, MAX_FONT_SIZE);
   });
+  const [theme, setTheme] = useState(() => {
+    const saved = readJsonStorage(FONT_STORAGE_KEY, {}).theme;
+    return THEMES.includes(saved) ? saved : "system";
+  });
+  // When the font size or theme was last changed by hand; sync keeps the
+  // newest.
+  const [fontUpdatedAt, setFontUpdatedAt] = useState(() => readJsonStorage(FONT_STORAGE_KEY, {}).updated_at || 0);
+  // Keeps the exhibit images on screen while the options scroll past.
+  const [pinImages, setPinImages] = useState(() => readJsonStorage(PIN_IMAGES_STORAGE_KEY, false) === true);
+  const [syncAccount, setSyncAccount] = useState(() => loadSyncAccount());
+  const [syncStatus, setSyncStatus] = useState({ state: "idle" });
 
   const [loading, setLoading] = useState(false);
   const [loadError, setLoadError] = useState("");
+  const [storageError, setStorageError] = useState(null);
+  const [bankCatalogue, setBankCatalogue] = useState([]);
+  const [loadedOffline, setLoadedOffline] = useState(false);
+  const [loadProgress, setLoadProgress] = useState(null);
 
   const [showSettings, setShowSettings] = useState(false);
   const [showWrongModal, setShowWrongModal] = useState(false);
   const [showFinalModal, setShowFinalModal] = useState(false);
+  const [pendingSession, setPendingSession] = useState(null);
+  const [showStatsModal, setShowStatsModal] = useState(false);
+  const [showExportModal, setShowExportModal] = useState(false);
+  const [showLibraryModal, setShowLibraryModal] = useState(false);
+  const [showSearchModal, setShowSearchModal] = useState(false);
+  const [showShortcutHelp, setShowShortcutHelp] = useState(false);
+  const [showSyncModal, setShowSyncModal] = useState(false);
+  const [sessionId, setSessionId] = useState("");
   const [isDocxDropActive, setIsDocxDropActive] = useState(false);
 
   const [settings, setSettings] = useState({
     mode: "random",
     numQuestions: 100,
-    startQuestion: 1
+    startQuestion: 1,
+    graduateStreak: DEFAULT_GRADUATE_STREAK,
+    examMode: false,
+    examSecondsPerQuestion: DEFAULT_EXAM_SECONDS_PER_QUESTION,
+    scoring: DEFAULT_SCORING_POLICY,
+    hideAnswerCount: false,
+    tags: [],
+    // Set by a shared link; empty means a fresh seed for every run.
+    seed: ""
   });
 
   const fileInputRef = useRef(null);
-  const routeDocxPath = useMemo(() => resolveDocxPathFromRoute(window.location.pathname), []);
+  const questionHeadingRef = useRef(null);
+  const shortcutHandlerRef = useRef(null);
+  const syncRef = useRef(null);
+  const syncingRef = useRef(false);
+  const loadControllerRef = useRef(null);
+  // Milliseconds spent on each question index of the current run, plus the
+  // moment the visible question was opened.
+  const timeSpentRef = useRef({});
+  const questionOpenedAtRef = useRef(Date.now());
+  const routeDocxPath = useMemo(() => resolveDocxPathFromRoute(window.location.pathname, window.location.search), []);
   const routeDocxFileName = useMemo(() => {
     if (!routeDocxPath) {
       return "";
@@ -551,10 +1572,72 @@ export default function App() {
     const segments = routeDocxPath.split("/").filter(Boolean);
     return segments[segments.length - 1] || "";
   }, [routeDocxPath]);
-
-  const sortedQuestions = useMemo(() => [...questions].sort((a, b) => a.number - b.number), [questions]);
+  // The run from a shared link, applied once when the route bank opens.
+  const [sharedRun, setSharedRun] = useState(() =>
+    routeDocxPath ? resolveSharedRunFromSearch(window.location.search) : null
+  );
+  const [shareCopied, setShareCopied] = useState(false);
+
+  // The banks that were active last time, reopened once the library loads.
+  const savedActiveBanks = useMemo(() => readJsonStorage(ACTIVE_BANKS_STORAGE_KEY, []), []);
+  const questions = useMemo(
+    () =>
+      libraryBanks
+        .filter((entry) => activeBanks.includes(entry.name))
+        .flatMap((entry) => applyEdits(entry.questions, entry.name, edits)),
+    [libraryBanks, activeBanks, edits]
+  );
+  const libraryKeys = useMemo(() => new Set(questions.map((question) => `${question.bank}#${question.number}`)), [questions]);
+  const sourceFileName = selectionKey(activeBanks);
+  // Shared links reopen the bank by its app route (`/network`, not the file
+  // `/network.docx`), so only a single bank served by the site can be shared.
+  const shareBankPath =
+    activeBanks.length !== 1
+      ? ""
+      : activeBanks[0] === routeDocxFileName
+        ? bankRoutePath(routeDocxPath)
+        : bankCatalogue.find((bank) => bank.file === activeBanks[0])?.path || "";
+
+  const tagOptions = useMemo(() => collectTags(questions, manualTags), [questions, manualTags]);
+  // Quiz selection and the settings dialog only see questions matching the
+  // tag filter; exports always cover the whole selection of banks.
+  const practiceQuestions = useMemo(
+    () => filterByTags(questions, settings.tags, manualTags),
+    [questions, settings.tags, manualTags]
+  );
+  // Shared runs draw from the banks as parsed, filtered by parsed tags only:
+  // edits and hand-added tags live in one browser, so a teammate's pool would
+  // differ. Without such overlays this is the same list as `practiceQuestions`.
+  const sharedPoolQuestions = useMemo(
+    () =>
+      filterByTags(
+        libraryBanks.filter((entry) => activeBanks.includes(entry.name)).flatMap((entry) => entry.questions),
+        settings.tags,
+        {}
+      ),
+    [libraryBanks, activeBanks, settings.tags]
+  );
+  const poolHasLocalChanges =
+    sharedPoolQuestions.length !== practiceQuestions.length ||
+    sharedPoolQuestions.some((question, index) => question !== practiceQuestions[index]);
+  const notebookQuestions = useMemo(
+    () => filterByTags(buildNotebookQuestions(wrongAnswers, questions), settings.tags, manualTags),
+    [wrongAnswers, questions, settings.tags, manualTags]
+  );
+  const sortedQuestions = useMemo(
+    () => [...practiceQuestions].sort((a, b) => a.number - b.number),
+    [practiceQuestions]
+  );
   const maxQuestionNumber = sortedQuestions.length > 0 ? sortedQuestions[sortedQuestions.length - 1].number : 0;
   const answeredCount = Object.keys(answersState).length;
+  const bankGradableCount = useMemo(
+    () => practiceQuestions.reduce((count, question) => count + (question.canSubmit ? 1 : 0), 0),
+    [practiceQuestions]
+  );
+  const dueCount = useMemo(
+    () => countDueQuestions(practiceQuestions, srsState),
+    [practiceQuestions, srsState]
+  );
   const gradableCount = useMemo(
     () => quizQuestions.reduce((count, question) => count + (question.canSubmit ? 1 : 0), 0),
     [quizQuestions]
@@ -563,141 +1646,675 @@ export default function App() {
   const currentQuestion = quizQuestions[currentIndex] || null;
   const currentResult = answersState[currentIndex] || null;
   const currentSelected = draftSelections[currentIndex] || currentResult?.selected || [];
+  const currentDraft =
+    draftSelections[currentIndex] || currentResult?.selected || (currentQuestion ? defaultDraft(currentQuestion) : []);
 
   const progressPercent = gradableCount > 0 ? Math.round((answeredCount / gradableCount) * 100) : 0;
 
+  // During an exam run answers are saved but not graded until time-out or
+  // final submit, so correctness must stay hidden until `finished` flips.
+  const isExamActive = Boolean(examRun && !examRun.finished);
+  const examRemainingSeconds = examRun ? (examRun.deadline - examNow) / 1000 : 0;
+  const showGrading = !isExamActive;
+  const answerLocked = isExamActive ? false : Boolean(currentResult) || Boolean(examRun);
+
   useEffect(() => {
-    window.localStorage.setItem(FONT_STORAGE_KEY, JSON.stringify({ font_size: fontSize }));
-  }, [fontSize]);
+    window.localStorage.setItem(
+      FONT_STORAGE_KEY,
+      JSON.stringify({ font_size: fontSize, theme, updated_at: fontUpdatedAt })
+    );
+  }, [fontSize, theme, fontUpdatedAt]);
+
+  useEffect(() => {
+    const media = window.matchMedia?.("(prefers-color-scheme: dark)");
+    function applyTheme() {
+      document.documentElement.dataset.theme = theme === "system" ? (media?.matches ? "dark" : "light") : theme;
+    }
+
+    applyTheme();
+    if (theme !== "system" || !media) {
+      return undefined;
+    }
+    media.addEventListener("change", applyTheme);
+    return () => media.removeEventListener("change", applyTheme);
+  }, [theme]);
+
+  useEffect(() => {
+    window.localStorage.setItem(PIN_IMAGES_STORAGE_KEY, JSON.stringify(pinImages));
+  }, [pinImages]);
 
   useEffect(() => {
     window.localStorage.setItem(WRONG_STORAGE_KEY, JSON.stringify(wrongAnswers));
   }, [wrongAnswers]);
 
   useEffect(() => {
-    if (gradableCount > 0 && answeredCount === gradableCount) {
+    window.localStorage.setItem(SRS_STORAGE_KEY, JSON.stringify(srsState));
+  }, [srsState]);
+
+  useEffect(() => {
+    window.localStorage.setItem(TAGS_STORAGE_KEY, JSON.stringify(manualTags));
+  }, [manualTags]);
+
+  useEffect(() => {
+    window.localStorage.setItem(ACTIVE_BANKS_STORAGE_KEY, JSON.stringify(activeBanks));
+  }, [activeBanks]);
+
+  useEffect(() => {
+    saveSyncAccount(syncAccount);
+  }, [syncAccount]);
+
+  // Signed-in devices sync on start-up, every minute, when the connection
+  // comes back and when the page is hidden (switching to another device).
+  const syncToken = syncAccount?.token || "";
+  useEffect(() => {
+    if (!syncToken) {
+      return undefined;
+    }
+    function sync() {
+      syncRef.current?.();
+    }
+    function syncWhenHidden() {
+      if (document.visibilityState === "hidden") {
+        sync();
+      }
+    }
+    sync();
+    const timer = window.setInterval(sync, SYNC_INTERVAL_MS);
+    window.addEventListener("online", sync);
+    document.addEventListener("visibilitychange", syncWhenHidden);
+    return () => {
+      window.clearInterval(timer);
+      window.removeEventListener("online", sync);
+      document.removeEventListener("visibilitychange", syncWhenHidden);
+    };
+  }, [syncToken]);
+
+  useEffect(() => {
+    if (!examRun && gradableCount > 0 && answeredCount === gradableCount) {
       setShowFinalModal(true);
     }
-  }, [answeredCount, gradableCount]);
+  }, [answeredCount, gradableCount, examRun]);
+
+  useEffect(() => {
+    const openedAt = Date.now();
+    const runTimes = timeSpentRef.current;
+    questionOpenedAtRef.current = openedAt;
+    return () => {
+      runTimes[currentIndex] = (runTimes[currentIndex] || 0) + (Date.now() - openedAt);
+    };
+  }, [currentIndex, quizQuestions]);
+
+  useEffect(() => {
+    if (!sourceFileName || quizQuestions.length === 0) {
+      return undefined;
+    }
+
+    const completed = examRun ? examRun.finished : gradableCount > 0 && answeredCount === gradableCount;
+    const timer = window.setTimeout(() => {
+      if (completed) {
+        recordDeletion("sessions", sourceFileName);
+      }
+      const pending = completed
+        ? deleteRecord("sessions", sourceFileName)
+        : putRecord("sessions", {
+            bank: sourceFileName,
+            savedAt: Date.now(),
+            quizItems: quizQuestions.map((question) => toSessionItem(question, libraryKeys)),
+            answersState,
+            draftSelections,
+            currentIndex,
+            score,
+            flaggedIndexes,
+            examRun,
+            runRules,
+            sessionId,
+            timeSpent: timeSpentRef.current
+          });
+      pending.catch(() => {
+        // Session persistence is best effort; the quiz keeps working without it.
+      });
+    }, SESSION_SAVE_DELAY_MS);
+
+    return () => window.clearTimeout(timer);
+  }, [
+    sourceFileName,
+    quizQuestions,
+    libraryKeys,
+    answersState,
+    draftSelections,
+    currentIndex,
+    score,
+    flaggedIndexes,
+    examRun,
+    runRules,
+    sessionId,
+    answeredCount,
+    gradableCount
+  ]);
+
+  useEffect(() => {
+    if (!isExamActive) {
+      return undefined;
+    }
+    const timer = window.setInterval(() => setExamNow(Date.now()), 1000);
+    return () => window.clearInterval(timer);
+  }, [isExamActive]);
+
+  useEffect(() => {
+    if (isExamActive && examRemainingSeconds <= 0) {
+      finishExam();
+    }
+  }, [isExamActive, examRemainingSeconds]);
+
+  // Moving to another question puts focus on its heading, so screen readers
+  // read the new question and Tab continues from its options.
+  useEffect(() => {
+    if (quizQuestions.length > 0) {
+      questionHeadingRef.current?.focus();
+    }
+  }, [currentIndex, sessionId]);
+
+  useEffect(() => {
+    function handleKeyDown(event) {
+      shortcutHandlerRef.current?.(event);
+    }
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
+
+  useEffect(() => {
+    if (!routeDocxPath) {
+      return undefined;
+    }
+
+    const controller = beginLoad();
+    async function tryLoadDocxFromRoute() {
+      try {
+        const fileName = routeDocxFileName || routeDocxPath.replace(/^\//, "");
+        const parsed = await loadRouteBank(routeDocxPath, fileName, {
+          onProgress: setLoadProgress,
+          signal: controller.signal
+        });
+        if (controller.signal.aborted) {
+          return;
+        }
+        await applyParsedBank(parsed, fileName);
+        setLoadedOffline(parsed.offline);
+      } catch (error) {
+        if (!controller.signal.aborted) {
+          setLoadError(errorMessage(error, "errors.autoLoadFailed"));
+        }
+      } finally {
+        finishLoad(controller);
+      }
+    }
+
+    tryLoadDocxFromRoute();
+    return () => {
+      controller.abort();
+    };
+  }, [routeDocxFileName, routeDocxPath]);
+
+  useEffect(() => {
+    let cancelled = false;
+    // The catalogue is optional: deployments without banks.json simply show
+    // no picker.
+    fetch(CATALOGUE_PATH, { cache: "no-store" })
+      .then((response) => (response.ok ? response.json() : null))
+      .then((catalogue) => {
+        if (!cancelled && Array.isArray(catalogue?.banks)) {
+          setBankCatalogue(catalogue.banks.map(normalizeCatalogueEntry).filter(Boolean));
+        }
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadLibrary()
+      .then((entries) => {
+        if (cancelled) {
+          return;
+        }
+        // Banks imported while the library was loading win over stored copies.
+        setLibraryBanks((prev) => prev.reduce(upsertLibraryEntry, entries));
+        if (!routeDocxPath && savedActiveBanks.length > 0) {
+          activateBanks(savedActiveBanks, entries);
+        }
+      })
+      .catch(() => {
+        // No IndexedDB: the library simply starts empty.
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [routeDocxPath, savedActiveBanks]);
+
+  // Storage calls fall back quietly when IndexedDB fails; a database held by
+  // an older tab is worth telling the user about.
+  useEffect(() => {
+    openDatabase().catch((error) => {
+      if (error.messageKey) {
+        setStorageError(error);
+      }
+    });
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadEdits()
+      .then((records) => {
+        if (!cancelled) {
+          setEdits((prev) => ({ ...records, ...prev }));
+        }
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  function resetRunState() {
+    setCurrentIndex(0);
+    setScore(0);
+    setAnswersState({});
+    setDraftSelections({});
+    setWarning("");
+    setFlaggedIndexes({});
+    setExamRun(null);
+    setShowFinalModal(false);
+    setShareCopied(false);
+    timeSpentRef.current = {};
+    questionOpenedAtRef.current = Date.now();
+  }
+
+  function upsertWrongAnswer(question, userAnswerOriginal) {
+    const record = {
+      bank: question.bank,
+      original_number: question.number,
+      question_text: question.text,
+      options: question.options,
+      correct_answer: formatSourceAnswer(question),
+      user_answer: userAnswerOriginal,
+      question_kind: question.kind,
+      is_multiple_choice: question.isMultipleChoice,
+      explanation: question.explanation || "",
+      reference: question.reference || "",
+      correct_streak: 0,
+      timestamp: new Date().toISOString(),
+      updated_at: Date.now()
+    };
+
+    setWrongAnswers((prev) => {
+      const index = prev.findIndex((item) => isSameWrongRecord(item, question));
+      if (index >= 0) {
+        const next = [...prev];
+        next[index] = record;
+        return next;
+      }
+      return [...prev, record];
+    });
+  }
+
+  function recordCorrectAnswer(question) {
+    // The graduation is recorded for sync here rather than in the updater,
+    // which React may run more than once.
+    const record = wrongAnswers.find((item) => isSameWrongRecord(item, question));
+    if (record && (record.correct_streak || 0) + 1 >= settings.graduateStreak) {
+      recordDeletion("wrongAnswers", wrongAnswerKey(record));
+    }
+
+    setWrongAnswers((prev) => {
+      const index = prev.findIndex((item) => isSameWrongRecord(item, question));
+      if (index < 0) {
+        return prev;
+      }
+
+      const streak = (prev[index].correct_streak || 0) + 1;
+      if (streak >= settings.graduateStreak) {
+        return prev.filter((_, itemIndex) => itemIndex !== index);
+      }
+
+      const next = [...prev];
+      next[index] = { ...prev[index], correct_streak: streak, updated_at: Date.now() };
+      return next;
+    });
+  }
+
+  function measureTimeSpent(index) {
+    const spent = timeSpentRef.current[index] || 0;
+    return index === currentIndex ? spent + (Date.now() - questionOpenedAtRef.current) : spent;
+  }
+
+  function recordAttempt(question, index, result) {
+    putRecord("attempts", {
+      id: createAttemptId(),
+      sessionId,
+      bank: question.bank,
+      number: question.number,
+      selected: result?.userAnswerOriginal || "",
+      isCorrect: Boolean(result?.isCorrect),
+      credit: creditOf(result),
+      scoring: runRules.scoring,
+      timeSpentMs: Math.round(measureTimeSpent(index)),
+      timestamp: Date.now()
+    }).catch(() => {
+      // Statistics are best effort and must never block answering.
+    });
+  }
+
+  function recordReview(question, isCorrect) {
+    const key = srsKey(question.bank, question.number);
+    setSrsState((prev) => ({
+      ...prev,
+      [key]: reviewCard(prev[key], gradeToQuality(isCorrect))
+    }));
+  }
+
+  function changeFontSize(delta) {
+    setFontSize((prev) => clamp(prev + delta, MIN_FONT_SIZE, MAX_FONT_SIZE));
+    setFontUpdatedAt(Date.now());
+  }
+
+  function changeTheme(value) {
+    setTheme(value);
+    setFontUpdatedAt(Date.now());
+  }
+
+  // Local state is merged with functional updates, so answers given while a
+  // sync is in flight are kept.
+  async function runSync() {
+    if (!syncAccount || syncingRef.current) {
+      return;
+    }
+    syncingRef.current = true;
+    setSyncStatus({ state: "syncing" });
+    try {
+      const { account, remote } = await syncNow(syncAccount, {
+        wrongAnswers,
+        srsState,
+        fontSettings: { font_size: fontSize, theme, updated_at: fontUpdatedAt }
+      });
+      setWrongAnswers((prev) => mergeRemoteWrongAnswers(prev, remote.wrongAnswers));
+      setSrsState((prev) => mergeRemoteSrs(prev, remote.srs));
+      const font = remoteFontSettings({ updated_at: fontUpdatedAt }, remote.settings);
+      if (font) {
+        setFontSize(clamp(Number(font.font_size) || DEFAULT_FONT_SIZE, MIN_FONT_SIZE, MAX_FONT_SIZE));
+        if (THEMES.includes(font.theme)) {
+          setTheme(font.theme);
+        }
+        setFontUpdatedAt(font.updated_at);
+      }
+      // Signing out during the request wins over its result.
+      setSyncAccount((current) => (current?.token === account.token ? account : current));
+      setSyncStatus({ state: "synced" });
+    } catch (error) {
+      if (error.status === 401) {
+        setSyncAccount(null);
+      }
+      setSyncStatus(isOfflineError(error) ? { state: "offline" } : { state: "error", error });
+    } finally {
+      syncingRef.current = false;
+    }
+  }
+  syncRef.current = runSync;
+
+  async function signInToSync(username, password, register) {
+    const account = await signIn(username, password, register);
+    setSyncStatus({ state: "idle" });
+    setSyncAccount(account);
+  }
+
+  function signOutOfSync() {
+    if (syncAccount) {
+      signOut(syncAccount);
+    }
+    setSyncAccount(null);
+    setSyncStatus({ state: "idle" });
+  }
+
+  // Only one bank loads at a time; starting another load cancels the one in
+  // flight.
+  function beginLoad() {
+    loadControllerRef.current?.abort();
+    const controller = new AbortController();
+    loadControllerRef.current = controller;
+    setLoading(true);
+    setLoadError("");
+    setLoadProgress(null);
+    return controller;
+  }
 
-  useEffect(() => {
-    let cancelled = false;
-    if (!routeDocxPath) {
-      return () => {
-        cancelled = true;
-      };
+  function finishLoad(controller) {
+    if (loadControllerRef.current === controller) {
+      loadControllerRef.current = null;
+      setLoading(false);
+      setLoadProgress(null);
     }
+  }
 
-    async function tryLoadDocxFromRoute() {
-      setLoading(true);
-      setLoadError("");
+  function cancelLoad() {
+    const controller = loadControllerRef.current;
+    controller?.abort();
+    finishLoad(controller);
+  }
 
-      try {
-        const response = await fetch(routeDocxPath, { cache: "no-store" });
-        if (!response.ok) {
-          throw new Error(`未找到题库文件 ${routeDocxPath}，请上传或拖拽本地 DOCX。`);
-        }
-        if (cancelled) {
-          return;
-        }
-        const arrayBuffer = await response.arrayBuffer();
-        if (cancelled) {
-          return;
-        }
-        await loadDocxArrayBuffer(arrayBuffer, routeDocxFileName || routeDocxPath.replace(/^\//, ""));
-      } catch (error) {
-        if (!cancelled) {
-          setLoadError(error instanceof Error ? error.message : "自动加载题库失败，请上传或拖拽本地 DOCX。");
-        }
-      } finally {
-        if (!cancelled) {
-          setLoading(false);
-        }
-      }
+  // Importing a bank stores it in the library (replacing a bank with the same
+  // file name) and makes it the only active bank.
+  async function applyParsedBank(parsed, fileName) {
+    if (parsed.questions.length === 0) {
+      throw localizedError("errors.noQuestions");
     }
 
-    tryLoadDocxFromRoute();
-    return () => {
-      cancelled = true;
-    };
-  }, [routeDocxFileName, routeDocxPath]);
+    const existing = await getRecord("library", fileName).catch(() => null);
+    const entry = createLibraryEntry(fileName, parsed, existing?.addedAt);
+    saveLibraryEntry(entry).catch(() => {
+      // Without IndexedDB the bank still works for this visit.
+    });
+    setLibraryBanks((prev) => upsertLibraryEntry(prev, entry));
+    await activateBanks([fileName], [entry]);
+    setDiagnostics(parsed.diagnostics);
+  }
 
-  function resetRunState() {
-    setCurrentIndex(0);
-    setScore(0);
-    setAnswersState({});
-    setDraftSelections({});
-    setWarning("");
-    setShowFinalModal(false);
+  async function activateBanks(names, entries) {
+    const active = entries.filter((entry) => names.includes(entry.name));
+    const activeNames = active.map((entry) => entry.name);
+    const total = active.reduce((sum, entry) => sum + entry.questions.length, 0);
+    // A shared link opens its own run, so it skips the resume prompt.
+    const shared = sharedRun && activeNames.length === 1 && activeNames[0] === routeDocxFileName ? sharedRun : null;
+    const savedSession =
+      activeNames.length > 0 && !shared
+        ? await getRecord("sessions", selectionKey(activeNames)).catch(() => null)
+        : null;
+
+    setActiveBanks(activeNames);
+    setDiagnostics([]);
+    setSettings((prev) => ({
+      ...prev,
+      mode: shared ? shared.mode : "random",
+      numQuestions: shared ? shared.count : Math.min(100, total),
+      startQuestion: shared ? shared.start : 1,
+      tags: shared ? shared.tags : [],
+      seed: shared ? shared.seed : ""
+    }));
+    setSharedRun(null);
+    setQuizQuestions([]);
+    resetRunState();
+
+    // Edits may still be loading on startup, so the stored ones are read here.
+    const sessionEdits = savedSession ? { ...(await loadEdits().catch(() => ({}))), ...edits } : edits;
+    const savedQuestions = savedSession
+      ? restoreSessionQuestions(
+          savedSession,
+          active.flatMap((entry) => applyEdits(entry.questions, entry.name, sessionEdits))
+        )
+      : null;
+    if (savedQuestions?.length > 0) {
+      setPendingSession({ ...savedSession, quizQuestions: savedQuestions });
+    } else {
+      setPendingSession(null);
+      setShowSettings(activeNames.length > 0);
+    }
   }
 
-  function upsertWrongAnswer(question, userAnswerOriginal) {
-    const record = {
-      original_number: question.number,
-      question_text: question.text,
-      options: question.options,
-      correct_answer: question.answer,
-      user_answer: userAnswerOriginal,
-      is_multiple_choice: question.isMultipleChoice,
-      timestamp: new Date().toISOString()
-    };
+  function bankQuestionNumbers(bank) {
+    const entry = libraryBanks.find((item) => item.name === bank);
+    return entry ? applyEdits(entry.questions, bank, edits).map((question) => question.number) : [];
+  }
 
-    setWrongAnswers((prev) => {
-      const index = prev.findIndex((item) => item.original_number === record.original_number);
-      if (index >= 0) {
-        const next = [...prev];
-        next[index] = record;
-        return next;
-      }
-      return [...prev, record];
+  function openQuestionEditor(question) {
+    const key = editKey(question.bank, question.number);
+    const source = questions.find((item) => item.bank === question.bank && item.number === question.number) || question;
+    const entry = libraryBanks.find((item) => item.name === question.bank);
+    setEditorTarget({
+      bank: question.bank,
+      form: editFormFromQuestion(source),
+      isNew: false,
+      hasEdit: Boolean(edits[key]),
+      hasParsed: Boolean(entry?.questions.some((item) => item.number === question.number))
     });
   }
 
-  async function loadDocxArrayBuffer(arrayBuffer, fileName) {
-    const result = await mammoth.convertToHtml(
-      { arrayBuffer },
-      {
-        convertImage: mammoth.images.imgElement(async (image) => {
-          const base64 = await image.read("base64");
-          return {
-            src: `data:${image.contentType};base64,${base64}`
-          };
-        })
-      }
-    );
+  function openNewQuestion(bank) {
+    const numbers = bankQuestionNumbers(bank);
+    setShowLibraryModal(false);
+    setEditorTarget({
+      bank,
+      form: editFormFromQuestion({
+        number: numbers.length > 0 ? Math.max(...numbers) + 1 : 1,
+        text: "",
+        options: {},
+        kind: "choice",
+        images: []
+      }),
+      isNew: true,
+      hasEdit: false,
+      hasParsed: false
+    });
+  }
 
-    const parsedQuestions = parseQuestionsFromHtml(result.value);
-    if (parsedQuestions.length === 0) {
-      throw new Error("未解析到题目，请确认题库格式与原 Python 版本一致。");
+  // Unanswered copies of the question in the running quiz pick up the change
+  // right away; answered ones keep what was graded.
+  function refreshQuizQuestion(bank, number, question) {
+    const indexes = quizQuestions
+      .map((item, index) => (item.bank === bank && item.number === number && !answersState[index] ? index : -1))
+      .filter((index) => index >= 0);
+    if (indexes.length === 0) {
+      return;
     }
+    setQuizQuestions((prev) =>
+      prev.map((item, index) => (indexes.includes(index) ? (question ? prepareQuestion(question) : item) : item))
+    );
+    setDraftSelections((prev) => {
+      const next = { ...prev };
+      indexes.forEach((index) => delete next[index]);
+      return next;
+    });
+  }
+
+  function saveQuestionEdit(form) {
+    const record = createEditRecord(editorTarget.bank, form);
+    saveEdit(record).catch(() => {
+      // Kept in memory for this visit when IndexedDB is unavailable.
+    });
+    setEdits((prev) => ({ ...prev, [record.key]: record }));
+    refreshQuizQuestion(record.bank, record.number, questionFromEdit(record));
+    setEditorTarget(null);
+  }
 
-    setQuestions(parsedQuestions);
-    setSourceFileName(fileName);
-    setSettings({
-      mode: "random",
-      numQuestions: Math.min(100, parsedQuestions.length),
-      startQuestion: 1
+  function revertQuestionEdit() {
+    const { bank, form } = editorTarget;
+    const key = editKey(bank, form.number);
+    removeEdit(key).catch(() => {});
+    setEdits((prev) => {
+      const next = { ...prev };
+      delete next[key];
+      return next;
     });
+    const entry = libraryBanks.find((item) => item.name === bank);
+    refreshQuizQuestion(bank, form.number, entry?.questions.find((item) => item.number === form.number) || null);
+    setEditorTarget(null);
+  }
+
+  function applyLibrarySelection(names) {
+    setShowLibraryModal(false);
+    activateBanks(names, libraryBanks);
+  }
+
+  function removeLibraryBank(name) {
+    if (!window.confirm(t("library.confirmRemove", { name }))) {
+      return;
+    }
+    removeLibraryEntry(name).catch(() => {});
+    const remaining = libraryBanks.filter((entry) => entry.name !== name);
+    setLibraryBanks(remaining);
+    if (activeBanks.includes(name)) {
+      activateBanks(
+        activeBanks.filter((item) => item !== name),
+        remaining
+      );
+    }
+  }
+
+  function resumeSession() {
+    const session = pendingSession;
+    if (!session) {
+      return;
+    }
+
+    setQuizQuestions(session.quizQuestions);
+    setAnswersState(session.answersState || {});
+    setDraftSelections(session.draftSelections || {});
+    setCurrentIndex(clamp(session.currentIndex || 0, 0, session.quizQuestions.length - 1));
+    setScore(session.score || 0);
+    setFlaggedIndexes(session.flaggedIndexes || {});
+    setSessionId(session.sessionId || createAttemptId());
+    timeSpentRef.current = { ...(session.timeSpent || {}) };
+    questionOpenedAtRef.current = Date.now();
+    setExamNow(Date.now());
+    setExamRun(session.examRun || null);
+    setRunRules(session.runRules || DEFAULT_RUN_RULES);
+    setWarning("");
+    setShowFinalModal(false);
+    setPendingSession(null);
+  }
+
+  function discardSession() {
+    if (pendingSession) {
+      recordDeletion("sessions", pendingSession.bank);
+      deleteRecord("sessions", pendingSession.bank).catch(() => {});
+    }
+    setPendingSession(null);
     setShowSettings(true);
-    setQuizQuestions([]);
-    resetRunState();
   }
 
-  async function loadDocxFile(file) {
-    setLoading(true);
-    setLoadError("");
+  async function loadBankFile(file) {
+    const controller = beginLoad();
 
     try {
-      if (!file.name.toLowerCase().endsWith(".docx")) {
-        throw new Error("请上传 .docx 文件。");
+      if (!getBankExtension(file.name)) {
+        throw localizedError("errors.unsupportedFormat", { extensions: BANK_EXTENSIONS.join(" / ") });
       }
 
       const arrayBuffer = await file.arrayBuffer();
-      await loadDocxArrayBuffer(arrayBuffer, file.name);
+      const parsed = await parseBank(arrayBuffer, file.name, {
+        onProgress: setLoadProgress,
+        signal: controller.signal
+      });
+      if (controller.signal.aborted) {
+        return;
+      }
+      await applyParsedBank(parsed, file.name);
+      setLoadedOffline(false);
     } catch (error) {
-      setLoadError(error instanceof Error ? error.message : "解析题库失败。");
+      if (!controller.signal.aborted) {
+        setLoadError(errorMessage(error, "errors.parseFailed"));
+      }
     } finally {
-      setLoading(false);
+      finishLoad(controller);
     }
   }
 
@@ -713,7 +2330,7 @@ export default function App() {
     if (!file) {
       return;
     }
-    await loadDocxFile(file);
+    await loadBankFile(file);
     event.target.value = "";
   }
 
@@ -752,43 +2369,89 @@ export default function App() {
     if (!file) {
       return;
     }
-    await loadDocxFile(file);
+    await loadBankFile(file);
   }
 
   function startQuiz() {
-    if (questions.length === 0) {
+    if (questions.length === 0 || (practiceQuestions.length === 0 && settings.mode !== "wrong")) {
       return;
     }
 
     const mode = settings.mode;
     const startQuestion = clamp(Number(settings.startQuestion) || 1, 1, Math.max(1, maxQuestionNumber));
+    // Question selection and option order all come from one seeded stream,
+    // so the same link gives the same run.
+    const seed = settings.seed || createSeed();
+    const random = createRandom(seed);
+    // A run opened from a link draws from the pool every device shares.
+    const fromSharedPool = Boolean(settings.seed) && (mode === "random" || mode === "sequential");
+    const pool = fromSharedPool ? sharedPoolQuestions : practiceQuestions;
 
     let selectedQuestions = [];
     if (mode === "sequential") {
+      const ordered = fromSharedPool ? [...pool].sort((a, b) => a.number - b.number) : sortedQuestions;
       let startIdx = 0;
-      for (let i = 0; i < sortedQuestions.length; i += 1) {
-        if (sortedQuestions[i].number >= startQuestion) {
+      for (let i = 0; i < ordered.length; i += 1) {
+        if (ordered[i].number >= startQuestion) {
           startIdx = i;
           break;
         }
       }
 
-      const maxCount = Math.max(1, sortedQuestions.length - startIdx);
+      const maxCount = Math.max(1, ordered.length - startIdx);
       const count = clamp(Number(settings.numQuestions) || 1, 1, maxCount);
-      selectedQuestions = sortedQuestions.slice(startIdx, startIdx + count);
+      selectedQuestions = ordered.slice(startIdx, startIdx + count);
+    } else if (mode === "wrong") {
+      if (notebookQuestions.length === 0) {
+        return;
+      }
+      const count = clamp(Number(settings.numQuestions) || 1, 1, notebookQuestions.length);
+      selectedQuestions = sampleQuestions(notebookQuestions, count, random);
+    } else if (mode === "due") {
+      const count = clamp(Number(settings.numQuestions) || 1, 1, Math.max(1, bankGradableCount));
+      selectedQuestions = selectDueQuestions(practiceQuestions, srsState, count, (list) => shuffleArray(list, random));
+      if (selectedQuestions.length === 0) {
+        return;
+      }
     } else {
-      const count = clamp(Number(settings.numQuestions) || 1, 1, questions.length);
-      selectedQuestions = sampleQuestions(questions, count);
+      const count = clamp(Number(settings.numQuestions) || 1, 1, Math.max(1, pool.length));
+      selectedQuestions = sampleQuestions(pool, count, random);
     }
 
-    const prepared = selectedQuestions.map(prepareQuestion);
+    const prepared = selectedQuestions.map((question) => prepareQuestion(question, random));
     setQuizQuestions(prepared);
     resetRunState();
+    // The notebook and the review schedule differ per person, so only random
+    // and sequential runs can be shared.
+    const share =
+      mode === "random" || mode === "sequential"
+        ? {
+            mode,
+            count: prepared.length,
+            start: startQuestion,
+            tags: settings.tags,
+            seed,
+            // Drawn from edited questions or hand-added tags, which a link
+            // cannot carry, so others would get a different run.
+            localChanges: !fromSharedPool && poolHasLocalChanges
+          }
+        : null;
+    setRunRules({ scoring: settings.scoring, hideAnswerCount: settings.hideAnswerCount, share });
+    setSettings((prev) => ({ ...prev, seed: "" }));
+    setSessionId(createAttemptId());
+    if (settings.examMode) {
+      const startedAt = Date.now();
+      setExamNow(startedAt);
+      setExamRun({
+        deadline: startedAt + prepared.length * settings.examSecondsPerQuestion * 1000,
+        finished: false
+      });
+    }
     setShowSettings(false);
   }
 
   function changeOption(letter, checked) {
-    if (!currentQuestion || currentResult || !currentQuestion.canSubmit) {
+    if (!currentQuestion || answerLocked || !currentQuestion.canSubmit) {
       return;
     }
 
@@ -815,47 +2478,69 @@ export default function App() {
     });
   }
 
+  function changeDraft(value) {
+    if (!currentQuestion || answerLocked || !currentQuestion.canSubmit) {
+      return;
+    }
+
+    setWarning("");
+    setDraftSelections((prev) => ({ ...prev, [currentIndex]: value }));
+  }
+
   function submitAnswer() {
-    if (!currentQuestion || currentResult) {
+    if (!currentQuestion || answerLocked) {
       return;
     }
 
     if (!currentQuestion.canSubmit) {
-      setWarning("该题暂无可提交答案，请使用“上一题/下一题”继续。");
+      setWarning(t("warning.notGradable"));
       return;
     }
 
-    const selected = sortLetters(draftSelections[currentIndex] || []);
+    const draft = draftSelections[currentIndex] || currentResult?.selected || defaultDraft(currentQuestion);
+    const selected = currentQuestion.kind === "choice" ? sortLetters(draft) : draft;
 
-    if (selected.length === 0) {
-      setWarning("请先选择答案。");
+    if (currentQuestion.kind === "matching") {
+      const missing = currentQuestion.matchTargets.filter(({ key }) => !selected[key]).length;
+      if (missing > 0) {
+        setWarning(t("warning.matchingIncomplete", { count: missing }));
+        return;
+      }
+    } else if (selected.length === 0) {
+      setWarning(t("warning.noSelection"));
       return;
     }
 
-    if (currentQuestion.isMultipleChoice && selected.length !== currentQuestion.answer.length) {
-      setWarning(`这是多选题，需要选择 ${currentQuestion.answer.length} 个答案，你选择了 ${selected.length} 个。`);
+    // With the count hidden, refusing a wrong number of picks would give it
+    // away, so any selection is graded.
+    if (
+      currentQuestion.isMultipleChoice &&
+      !runRules.hideAnswerCount &&
+      selected.length !== currentQuestion.answer.length
+    ) {
+      setWarning(t("warning.wrongCount", { count: currentQuestion.answer.length, selected: selected.length }));
       return;
     }
 
-    const userAnswerShuffled = selected.join("");
-    const userAnswerOriginal = sortLetters(
-      selected.map((letter) => currentQuestion.optionMapping[letter] || letter)
-    ).join("");
-
-    const isCorrect = userAnswerShuffled === currentQuestion.shuffledAnswer;
+    const graded = gradeSelection(currentQuestion, selected, runRules.scoring);
+    const { isCorrect, userAnswerOriginal } = graded;
 
     setAnswersState((prev) => ({
       ...prev,
-      [currentIndex]: {
-        selected,
-        isCorrect,
-        userAnswerShuffled,
-        userAnswerOriginal
-      }
+      [currentIndex]: graded
     }));
 
+    if (isExamActive) {
+      setWarning("");
+      return;
+    }
+
+    recordAttempt(currentQuestion, currentIndex, graded);
+    recordReview(currentQuestion, isCorrect);
+
+    setScore((prev) => prev + graded.credit);
     if (isCorrect) {
-      setScore((prev) => prev + 1);
+      recordCorrectAnswer(currentQuestion);
     } else {
       upsertWrongAnswer(currentQuestion, userAnswerOriginal);
     }
@@ -864,9 +2549,103 @@ export default function App() {
 
   }
 
+  function goToQuestion(index) {
+    setCurrentIndex(clamp(index, 0, quizQuestions.length - 1));
+    setWarning("");
+  }
+
+  function toggleFlag(index) {
+    setFlaggedIndexes((prev) => {
+      const next = { ...prev };
+      if (next[index]) {
+        delete next[index];
+      } else {
+        next[index] = true;
+      }
+      return next;
+    });
+  }
+
+  function finishExam() {
+    if (!isExamActive) {
+      return;
+    }
+
+    let examScore = 0;
+    quizQuestions.forEach((question, index) => {
+      if (!question.canSubmit) {
+        return;
+      }
+      const result = answersState[index];
+      recordAttempt(question, index, result);
+      recordReview(question, Boolean(result?.isCorrect));
+      examScore += creditOf(result);
+      if (result?.isCorrect) {
+        recordCorrectAnswer(question);
+      } else {
+        upsertWrongAnswer(question, result?.userAnswerOriginal || "");
+      }
+    });
+
+    setScore(examScore);
+    setExamRun((prev) => ({ ...prev, finished: true }));
+    setWarning("");
+    setShowFinalModal(true);
+  }
+
+  function confirmFinishExam() {
+    const unanswered = gradableCount - answeredCount;
+    const flagged = Object.keys(flaggedIndexes).length;
+    const notes = [];
+    if (unanswered > 0) {
+      notes.push(t("exam.unansweredNote", { count: unanswered }));
+    }
+    if (flagged > 0) {
+      notes.push(t("exam.flaggedNote", { count: flagged }));
+    }
+    const message =
+      notes.length > 0
+        ? t("exam.confirmWithNotes", { notes: notes.join(t("exam.noteSeparator")) })
+        : t("exam.confirm");
+    if (window.confirm(message)) {
+      finishExam();
+    }
+  }
+
+  // Search results open in the running quiz when it holds the question;
+  // otherwise a browsing run over the whole selection starts at it.
+  function jumpToQuestion(question) {
+    const runIndex = quizQuestions.findIndex((item) => item.bank === question.bank && item.number === question.number);
+    if (runIndex >= 0) {
+      setCurrentIndex(runIndex);
+      setWarning("");
+      setShowSearchModal(false);
+      return;
+    }
+    if ((answeredCount > 0 || isExamActive) && !window.confirm(t("search.confirmLeaveRun"))) {
+      return;
+    }
+
+    const ordered = [...questions].sort((a, b) => a.number - b.number);
+    setQuizQuestions(ordered.map((item) => prepareQuestion(item)));
+    resetRunState();
+    setCurrentIndex(ordered.findIndex((item) => item.bank === question.bank && item.number === question.number));
+    setRunRules({ scoring: settings.scoring, hideAnswerCount: settings.hideAnswerCount, share: null });
+    setSessionId(createAttemptId());
+    setShowSettings(false);
+    setShowSearchModal(false);
+  }
+
+  function reviewQuestion(index) {
+    setCurrentIndex(index);
+    setWarning("");
+    setShowFinalModal(false);
+  }
+
   function clearWrongAnswers() {
-    const confirmed = window.confirm("确定要清空错题本吗？此操作不可恢复。");
+    const confirmed = window.confirm(t("wrong.confirmClear"));
     if (confirmed) {
+      wrongAnswers.forEach((record) => recordDeletion("wrongAnswers", wrongAnswerKey(record)));
       setWrongAnswers([]);
       setShowWrongModal(false);
     }
@@ -879,12 +2658,100 @@ export default function App() {
     setShowSettings(true);
   }
 
+  async function copyShareLink() {
+    const url = buildShareUrl(shareBankPath, runRules.share);
+    try {
+      await navigator.clipboard.writeText(url);
+      setShareCopied(true);
+    } catch {
+      window.prompt(t("toolbar.sharePrompt"), url);
+    }
+  }
+
+  const modalOpen =
+    showSettings ||
+    showWrongModal ||
+    showFinalModal ||
+    showStatsModal ||
+    showExportModal ||
+    showLibraryModal ||
+    showSearchModal ||
+    showSyncModal ||
+    Boolean(pendingSession) ||
+    Boolean(editorTarget) ||
+    Boolean(lightbox);
+
+  function handleShortcut(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey || isTypingTarget(event.target)) {
+      return;
+    }
+    if (event.key === "?") {
+      event.preventDefault();
+      setShowShortcutHelp((prev) => !prev);
+      return;
+    }
+    if (showShortcutHelp) {
+      if (event.key === "Escape") {
+        setShowShortcutHelp(false);
+      }
+      return;
+    }
+    if (modalOpen || !currentQuestion) {
+      return;
+    }
+
+    const key = event.key;
+    if (key === "ArrowLeft" || key === "ArrowRight") {
+      event.preventDefault();
+      goToQuestion(currentIndex + (key === "ArrowLeft" ? -1 : 1));
+      return;
+    }
+    if (key === "Enter") {
+      // Focused buttons and links handle Enter themselves.
+      if (event.target?.closest?.("button, a")) {
+        return;
+      }
+      event.preventDefault();
+      if (!answerLocked && currentQuestion.canSubmit) {
+        submitAnswer();
+      } else {
+        goToQuestion(currentIndex + 1);
+      }
+      return;
+    }
+
+    const letter = key.length === 1 ? key.toUpperCase() : "";
+    if (letter === "N") {
+      event.preventDefault();
+      const next = findNextUnanswered(quizQuestions, answersState, currentIndex);
+      if (next >= 0) {
+        goToQuestion(next);
+      }
+      return;
+    }
+    const choiceLetters = currentQuestion.kind === "choice" ? Object.keys(currentQuestion.shuffledOptions) : [];
+    if (letter === "F" && (event.shiftKey || !choiceLetters.includes("F"))) {
+      event.preventDefault();
+      toggleFlag(currentIndex);
+    } else if (choiceLetters.includes(letter)) {
+      event.preventDefault();
+      changeOption(letter, currentQuestion.isMultipleChoice ? !currentSelected.includes(letter) : true);
+    }
+  }
+  shortcutHandlerRef.current = handleShortcut;
+
   const questionTypeLabel = currentQuestion
     ? currentQuestion.canSubmit
-      ? currentQuestion.isMultipleChoice
-        ? `【多选题 - 请选择 ${currentQuestion.answer.length} 个答案】`
-        : "【单选题】"
-      : "【拖拽题 / 无标准答案，仅浏览】"
+      ? currentQuestion.kind === "ordering"
+        ? t("question.type.ordering")
+        : currentQuestion.kind === "matching"
+          ? t("question.type.matching")
+          : currentQuestion.isMultipleChoice
+            ? runRules.hideAnswerCount
+              ? t("question.kindTag.multi")
+              : t("question.type.multi", { count: currentQuestion.answer.length })
+            : t("question.type.single")
+      : t("question.type.info")
     : "";
 
   const typeClass = currentQuestion?.canSubmit
@@ -893,42 +2760,112 @@ export default function App() {
       : "type-single"
     : "type-info";
 
+  function withEffectiveTags(list) {
+    return list.map((question) => ({ ...question, tags: tagsOf(question, manualTags) }));
+  }
+
+  function saveManualTags(question, tags) {
+    setManualTagsState((prev) => setManualTags(prev, question, tags));
+  }
+
+  const tagAccuracy = showFinalModal
+    ? accuracyByTag(quizQuestions, answersState, manualTags, Boolean(examRun?.finished))
+    : [];
+
+  const examBreakdown = examRun?.finished
+    ? quizQuestions.map((question, index) => {
+        const result = answersState[index];
+        let status = "info";
+        if (question.canSubmit) {
+          status = result ? navigatorStatus(question, result, true) : "unanswered";
+        }
+        return {
+          index,
+          number: question.number,
+          flagged: Boolean(flaggedIndexes[index]),
+          credit: question.canSubmit ? creditOf(result) : null,
+          userAnswer: result
+            ? t("final.answerWithSource", { answer: result.userAnswerShuffled, source: result.userAnswerOriginal })
+            : "",
+          correctAnswer: question.canSubmit
+            ? t("final.answerWithSource", { answer: formatShuffledAnswer(question), source: formatSourceAnswer(question) })
+            : "",
+          status
+        };
+      })
+    : null;
+
   const resultText = currentResult
     ? currentResult.isCorrect
-      ? "✓ 回答正确！"
-      : `✗ 回答错误！\n你的答案: ${currentResult.userAnswerShuffled} (原选项: ${currentResult.userAnswerOriginal || "(未作答)"})\n正确答案: ${currentQuestion?.shuffledAnswer || ""} (原选项: ${currentQuestion?.answer || ""})`
+      ? t("result.correct")
+      : [
+          t("result.wrong"),
+          t("result.yourAnswer", {
+            answer: currentResult.userAnswerShuffled,
+            source: currentResult.userAnswerOriginal || t("wrong.noAnswer")
+          }),
+          t("result.correctAnswer", {
+            answer: currentQuestion ? formatShuffledAnswer(currentQuestion) : "",
+            source: currentQuestion ? formatSourceAnswer(currentQuestion) : ""
+          }),
+          ...(runRules.scoring === "strict" ? [] : [t("result.credit", { score: formatScore(creditOf(currentResult)) })])
+        ].join("\n")
     : "";
 
   return (
     <div className="app-shell" style={{ "--base-size": fontSize }}>
-      <input ref={fileInputRef} type="file" accept=".docx" onChange={handleFileUpload} disabled={loading} style={{ display: "none" }} />
+      <input ref={fileInputRef} type="file" accept={BANK_EXTENSIONS.join(",")} onChange={handleFileUpload} disabled={loading} style={{ display: "none" }} />
       <header className="top-panel card">
         <div className="stats-grid">
-          <div>进度: {answeredCount}/{gradableCount || 0}</div>
-          <div>得分: {answeredCount > 0 ? `${score}/${answeredCount}` : "0"}</div>
-          <div>错题本: {wrongAnswers.length} 题</div>
-          <div className="source-file">题库文件: {sourceFileName || "未加载"}</div>
+          <div>{t("toolbar.progress", { done: answeredCount, total: gradableCount || 0 })}</div>
+          {isExamActive ? (
+            <div className={`exam-timer ${examRemainingSeconds <= 300 ? "exam-timer-low" : ""}`}>
+              {t("toolbar.remaining", { duration: formatDuration(examRemainingSeconds) })}
+            </div>
+          ) : (
+            <div>
+              {t("toolbar.score", {
+                score: answeredCount > 0 ? `${formatScore(score)}/${examRun ? gradableCount : answeredCount}` : "0"
+              })}
+            </div>
+          )}
+          <div>{t("toolbar.notebook", { count: wrongAnswers.length })}</div>
+          <div className="source-file">
+            {t("toolbar.bankFile", { name: sourceFileName || t("toolbar.noBank") })}
+            {loadedOffline ? <span className="offline-tag">{t("toolbar.offline")}</span> : null}
+          </div>
         </div>
 
         <div className="toolbar-actions">
           <button
             type="button"
             className="tool-btn"
-            onClick={() => setFontSize((prev) => clamp(prev - 2, MIN_FONT_SIZE, MAX_FONT_SIZE))}
+            onClick={() => changeFontSize(-2)}
           >
             A-
           </button>
-          <span className="font-size-tag">字号: {fontSize}</span>
+          <span className="font-size-tag">{t("toolbar.fontSize", { size: fontSize })}</span>
           <button
             type="button"
             className="tool-btn"
-            onClick={() => setFontSize((prev) => clamp(prev + 2, MIN_FONT_SIZE, MAX_FONT_SIZE))}
+            onClick={() => changeFontSize(2)}
           >
             A+
           </button>
           <button type="button" className="secondary" onClick={restartQuiz} disabled={questions.length === 0}>
-            重新开始
+            {t("toolbar.restart")}
           </button>
+          {runRules.share && shareBankPath && quizQuestions.length > 0 ? (
+            <button
+              type="button"
+              className="secondary"
+              onClick={copyShareLink}
+              disabled={runRules.share.localChanges}
+              title={t(runRules.share.localChanges ? "toolbar.shareLocalChanges" : "toolbar.shareTitle")}
+            >
+              {shareCopied ? t("toolbar.shareCopied") : t("toolbar.share")}
+            </button>
+          ) : null}
           <button
             type="button"
             className={`secondary docx-drop-target ${isDocxDropActive ? "dragging" : ""}`}
@@ -939,27 +2876,82 @@ export default function App() {
             onDrop={handleDocxDrop}
             disabled={loading}
           >
-            {isDocxDropActive ? "释放以上传 DOCX" : questions.length > 0 ? "更换 DOCX" : "选择 DOCX"}
+            {isDocxDropActive ? t("toolbar.dropToUpload") : questions.length > 0 ? t("toolbar.changeBank") : t("toolbar.chooseBank")}
+          </button>
+          <button type="button" className="secondary" onClick={() => setShowLibraryModal(true)}>
+            {t("toolbar.library", { count: libraryBanks.length })}
+          </button>
+          <button type="button" className="secondary" onClick={() => setShowSearchModal(true)} disabled={questions.length === 0}>
+            {t("toolbar.search")}
           </button>
           <button type="button" className="secondary" onClick={() => setShowWrongModal(true)}>
-            查看错题
+            {t("toolbar.wrongAnswers")}
+          </button>
+          <button type="button" className="secondary" onClick={() => setShowStatsModal(true)}>
+            {t("toolbar.stats")}
           </button>
+          <button type="button" className="secondary" onClick={() => setShowExportModal(true)}>
+            {t("toolbar.export")}
+          </button>
+          <button type="button" className="secondary" onClick={() => setShowSyncModal(true)}>
+            {syncAccount
+              ? t("toolbar.sync", {
+                  status:
+                    syncStatus.state === "offline" || syncStatus.state === "error"
+                      ? t(`toolbar.sync.${syncStatus.state}`)
+                      : syncAccount.username
+                })
+              : t("toolbar.signIn")}
+          </button>
+          <button
+            type="button"
+            className="secondary"
+            onClick={() => setShowShortcutHelp(true)}
+            aria-keyshortcuts="?"
+            title={t("toolbar.shortcutsTitle")}
+          >
+            {t("toolbar.shortcuts")}
+          </button>
+          <select
+            className="toolbar-select"
+            value={theme}
+            onChange={(event) => changeTheme(event.target.value)}
+            aria-label={t("toolbar.theme")}
+          >
+            {THEMES.map((value) => (
+              <option key={value} value={value}>
+                {t(`theme.${value}`)}
+              </option>
+            ))}
+          </select>
+          <select
+            className="toolbar-select"
+            value={locale}
+            onChange={(event) => setLocale(event.target.value)}
+            aria-label={t("toolbar.language")}
+          >
+            {Object.entries(LOCALES).map(([code, { label }]) => (
+              <option key={code} value={code}>
+                {label}
+              </option>
+            ))}
+          </select>
         </div>
 
         <div className="progress-track" role="progressbar" aria-valuemin={0} aria-valuemax={100} aria-valuenow={progressPercent}>
           <div className="progress-fill" style={{ width: `${progressPercent}%` }} />
         </div>
         {loadError ? <p className="error-text">{loadError}</p> : null}
+        {storageError ? <p className="error-text">{errorMessage(storageError)}</p> : null}
       </header>
 
+      <DiagnosticsPanel diagnostics={diagnostics} bankName={sourceFileName} onDismiss={() => setDiagnostics([])} />
+
       {questions.length === 0 ? (
         <section className="card loader-card">
-          <h1>{loading ? "正在加载题库..." : "加载题库"}</h1>
-          <p>
-            {routeDocxPath
-              ? `当前路径将尝试自动加载 ${routeDocxPath}。如果加载失败，请手动上传。`
-              : "访问 /default 可自动加载 default.docx；也可直接上传或拖拽本地 DOCX 文件。"}
-          </p>
+          <h1>{loading ? t("loader.loading") : t("loader.title")}</h1>
+          <p>{routeDocxPath ? t("loader.routeHint", { path: routeDocxPath }) : t("loader.hint")}</p>
+          <BankCatalogue banks={bankCatalogue} />
           <div
             className={`upload-zone ${isDocxDropActive ? "dragging" : ""}`}
             onDragEnter={handleDocxDragEnter}
@@ -968,9 +2960,17 @@ export default function App() {
             onDrop={handleDocxDrop}
           >
             <button type="button" className="upload-btn" onClick={openFilePicker} disabled={loading}>
-              {loading ? "加载中..." : "选择 DOCX 文件"}
+              {loading ? t("loader.busy") : t("loader.choose")}
             </button>
-            <p className="drag-tip">也可以将 .docx 文件拖到这里。</p>
+            {loading ? (
+              <div className="load-progress" role="status">
+                <span>{formatLoadProgress(t, loadProgress)}</span>
+                <button type="button" className="secondary" onClick={cancelLoad}>
+                  {t("common.cancel")}
+                </button>
+              </div>
+            ) : null}
+            <p className="drag-tip">{t("loader.dropHint", { extensions: BANK_EXTENSIONS.join(" / ") })}</p>
           </div>
         </section>
       ) : null}
@@ -978,95 +2978,183 @@ export default function App() {
       {quizQuestions.length > 0 && currentQuestion ? (
         <section className="card question-card">
           <div className="question-meta">
-            <div className="question-number">第 {currentIndex + 1} 题 (原题号: {currentQuestion.number})</div>
+            <div className="question-number" ref={questionHeadingRef} tabIndex={-1}>
+              {t("question.heading", { position: currentIndex + 1, number: currentQuestion.number })}
+              {activeBanks.length > 1 ? <span className="bank-tag">{currentQuestion.bank}</span> : null}
+              {flaggedIndexes[currentIndex] ? <span className="flag-tag">⚑ {t("navigator.flagged")}</span> : null}
+              {currentQuestion.edited ? <span className="edited-tag">{t("question.edited")}</span> : null}
+              {activeBanks.includes(currentQuestion.bank) ? (
+                <button type="button" className="tag-edit-btn" onClick={() => openQuestionEditor(currentQuestion)}>
+                  {t("question.edit")}
+                </button>
+              ) : null}
+            </div>
             <div className={`question-type ${typeClass}`}>{questionTypeLabel}</div>
           </div>
 
+          <QuestionTags question={currentQuestion} manualTags={manualTags} onSave={saveManualTags} />
+
           <pre className="question-text">{currentQuestion.text}</pre>
 
           {currentQuestion.images.length > 0 ? (
-            <div className="question-images">
+            <div className={`question-images ${pinImages ? "pinned" : ""}`}>
+              <div className="question-images-bar">
+                <button
+                  type="button"
+                  className="tag-edit-btn"
+                  aria-pressed={pinImages}
+                  onClick={() => setPinImages((prev) => !prev)}
+                >
+                  {pinImages ? t("question.unpinImages") : t("question.pinImages")}
+                </button>
+              </div>
               {currentQuestion.images.map((src, index) => (
-                <img key={`${currentQuestion.number}-${index}`} src={src} alt={`question-${currentQuestion.number}-${index}`} />
+                <button
+                  key={`${currentQuestion.number}-${index}`}
+                  type="button"
+                  className="question-image-btn"
+                  onClick={() => setLightbox({ images: currentQuestion.images, index })}
+                  aria-label={t("lightbox.open", { position: index + 1 })}
+                >
+                  <img src={src} alt={`question-${currentQuestion.number}-${index}`} />
+                </button>
               ))}
             </div>
           ) : null}
 
-          <div className="options-wrap">
-            {Object.keys(currentQuestion.shuffledOptions)
-              .sort()
-              .map((letter) => (
-                <OptionItem
-                  key={letter}
-                  questionType={currentQuestion.isMultipleChoice ? "multi" : "single"}
-                  letter={letter}
-                  text={currentQuestion.shuffledOptions[letter]}
-                  checked={currentSelected.includes(letter)}
-                  disabled={Boolean(currentResult)}
-                  onChange={changeOption}
-                  fontSize={fontSize}
-                />
-              ))}
-          </div>
+          {currentQuestion.canSubmit && currentQuestion.kind === "ordering" ? (
+            <OrderingInput
+              order={currentDraft}
+              texts={currentQuestion.shuffledOptions}
+              disabled={answerLocked}
+              onChange={changeDraft}
+              fontSize={fontSize}
+            />
+          ) : currentQuestion.canSubmit && currentQuestion.kind === "matching" ? (
+            <MatchingInput
+              targets={currentQuestion.matchTargets}
+              options={currentQuestion.shuffledOptions}
+              pairs={currentDraft}
+              disabled={answerLocked}
+              onChange={changeDraft}
+              fontSize={fontSize}
+            />
+          ) : (
+            <div className="options-wrap">
+              {Object.keys(currentQuestion.shuffledOptions)
+                .sort()
+                .map((letter) => (
+                  <OptionItem
+                    key={letter}
+                    questionType={currentQuestion.isMultipleChoice ? "multi" : "single"}
+                    letter={letter}
+                    text={currentQuestion.shuffledOptions[letter]}
+                    checked={currentSelected.includes(letter)}
+                    disabled={answerLocked}
+                    onChange={changeOption}
+                    fontSize={fontSize}
+                  />
+                ))}
+            </div>
+          )}
 
           {!currentQuestion.canSubmit ? (
-            <div className="info-text">该题暂无可判分答案，请使用“上一题/下一题”继续。</div>
+            <div className="info-text">{t("question.notGradable")}</div>
           ) : null}
 
-          {warning ? <div className="warning-text">{warning}</div> : null}
-
-          {currentResult ? (
-            <pre className={`result-text ${currentResult.isCorrect ? "result-correct" : "result-wrong"}`}>{resultText}</pre>
-          ) : null}
+          {/* Always rendered so screen readers announce grading and warnings
+              as they appear. */}
+          <div className="feedback-region" aria-live="polite">
+            {warning ? <div className="warning-text">{warning}</div> : null}
+
+            {isExamActive && currentResult ? (
+              <div className="info-text">{t("question.answerSaved", { answer: currentResult.userAnswerShuffled })}</div>
+            ) : null}
+
+            {currentResult && showGrading ? (
+              <>
+                <pre className={`result-text ${currentResult.isCorrect ? "result-correct" : "result-wrong"}`}>{resultText}</pre>
+                <QuestionNotes explanation={currentQuestion.explanation} reference={currentQuestion.reference} />
+              </>
+            ) : null}
+          </div>
 
           <div className="bottom-actions">
             <button
               type="button"
               className="secondary"
-              onClick={() => {
-                setCurrentIndex((prev) => Math.max(prev - 1, 0));
-                setWarning("");
-              }}
+              onClick={() => goToQuestion(currentIndex - 1)}
               disabled={currentIndex <= 0}
+              aria-keyshortcuts="ArrowLeft"
             >
-              上一题
+              {t("question.previous")}
             </button>
 
             <button
               type="button"
               className="primary"
               onClick={submitAnswer}
-              disabled={Boolean(currentResult) || !currentQuestion.canSubmit}
+              disabled={answerLocked || !currentQuestion.canSubmit}
+              aria-keyshortcuts="Enter"
             >
-              提交答案
+              {isExamActive ? t("question.save") : t("question.submit")}
             </button>
 
             <button
               type="button"
               className="secondary"
-              onClick={() => {
-                setCurrentIndex((prev) => Math.min(prev + 1, quizQuestions.length - 1));
-                setWarning("");
-              }}
+              onClick={() => goToQuestion(currentIndex + 1)}
               disabled={currentIndex >= quizQuestions.length - 1}
+              aria-keyshortcuts="ArrowRight"
             >
-              下一题
+              {t("question.next")}
+            </button>
+          </div>
+
+          <div className="exam-actions">
+            <button type="button" className="secondary" onClick={() => toggleFlag(currentIndex)} aria-keyshortcuts="F">
+              {flaggedIndexes[currentIndex] ? t("question.unflag") : t("question.flag")}
             </button>
+            {isExamActive ? (
+              <button type="button" className="danger" onClick={confirmFinishExam}>
+                {t("question.finishExam")}
+              </button>
+            ) : null}
           </div>
         </section>
       ) : null}
 
+      {quizQuestions.length > 0 && currentQuestion ? (
+        <QuestionNavigator
+          quizQuestions={quizQuestions}
+          answersState={answersState}
+          flaggedIndexes={flaggedIndexes}
+          currentIndex={currentIndex}
+          showGrading={showGrading}
+          onJump={goToQuestion}
+        />
+      ) : null}
+
       <SettingsModal
         visible={showSettings}
         onClose={() => setShowSettings(false)}
         onStart={startQuiz}
         settings={settings}
         setSettings={setSettings}
-        totalQuestions={questions.length}
+        totalQuestions={practiceQuestions.length}
         maxQuestionNumber={maxQuestionNumber}
         sortedQuestions={sortedQuestions}
+        wrongCount={notebookQuestions.length}
+        gradableTotal={bankGradableCount}
+        dueCount={dueCount}
+        tagOptions={tagOptions}
+        poolHasLocalChanges={poolHasLocalChanges}
       />
 
+      <ShortcutHelpModal visible={showShortcutHelp} onClose={() => setShowShortcutHelp(false)} />
+
+      <ResumeSessionModal session={pendingSession} onResume={resumeSession} onDiscard={discardSession} />
+
       <WrongAnswersModal
         visible={showWrongModal}
         wrongAnswers={wrongAnswers}
@@ -1075,11 +3163,82 @@ export default function App() {
         fontSize={fontSize}
       />
 
+      <ExportModal
+        visible={showExportModal}
+        bankName={sourceFileName}
+        questions={showExportModal ? withEffectiveTags([...questions].sort((a, b) => a.number - b.number)) : []}
+        notebookQuestions={showExportModal ? withEffectiveTags(buildNotebookQuestions(wrongAnswers, questions)) : []}
+        onClose={() => setShowExportModal(false)}
+      />
+
+      <LibraryModal
+        visible={showLibraryModal}
+        entries={libraryBanks}
+        activeBanks={activeBanks}
+        onApply={applyLibrarySelection}
+        onRemove={removeLibraryBank}
+        onAddQuestion={openNewQuestion}
+        onImport={() => {
+          setShowLibraryModal(false);
+          openFilePicker();
+        }}
+        onClose={() => setShowLibraryModal(false)}
+      />
+
+      <SearchModal
+        visible={showSearchModal}
+        questions={questions}
+        showBank={activeBanks.length > 1}
+        onSelect={jumpToQuestion}
+        onClose={() => setShowSearchModal(false)}
+        fontSize={fontSize}
+      />
+
+      <QuestionEditor
+        target={editorTarget}
+        takenNumbers={editorTarget ? bankQuestionNumbers(editorTarget.bank) : []}
+        onSave={saveQuestionEdit}
+        onRevert={revertQuestionEdit}
+        onClose={() => setEditorTarget(null)}
+        fontSize={fontSize}
+      />
+
+      {lightbox ? (
+        <ImageLightbox
+          images={lightbox.images}
+          startIndex={lightbox.index}
+          label={t("question.heading", { position: currentIndex + 1, number: currentQuestion?.number })}
+          onClose={() => setLightbox(null)}
+        />
+      ) : null}
+
+      <SyncModal
+        visible={showSyncModal}
+        account={syncAccount}
+        status={syncStatus}
+        onSignIn={signInToSync}
+        onSignOut={signOutOfSync}
+        onSync={runSync}
+        onClose={() => setShowSyncModal(false)}
+      />
+
+      <StatsModal
+        visible={showStatsModal}
+        currentBanks={activeBanks}
+        onClose={() => setShowStatsModal(false)}
+        fontSize={fontSize}
+      />
+
       <FinalResultModal
         visible={showFinalModal}
         total={gradableCount}
         score={score}
+        correctCount={Object.values(answersState).filter((result) => result.isCorrect).length}
+        scoring={runRules.scoring}
         wrongCount={wrongAnswers.length}
+        breakdown={examBreakdown}
+        tagAccuracy={tagAccuracy}
+        onReview={reviewQuestion}
         onClose={() => setShowFinalModal(false)}
       />
     </div>
@@ -0,0 +1,245 @@
+import { useEffect, useRef, useState } from "react";
+import { useI18n } from "./LocaleContext";
+
+const MIN_SCALE = 1;
+const MAX_SCALE = 8;
+const ZOOM_STEP = 1.5;
+const DOUBLE_TAP_SCALE = 2.5;
+const IDENTITY = { scale: 1, x: 0, y: 0 };
+
+function clampScale(scale) {
+  return Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+}
+
+// Zooms `view` to `scale` keeping `point` (relative to the stage centre)
+// fixed on screen; back at 1x the image recentres.
+function zoomAt(view, scale, point) {
+  const next = clampScale(scale);
+  if (next === MIN_SCALE) {
+    return IDENTITY;
+  }
+  const ratio = next / view.scale;
+  return {
+    scale: next,
+    x: point.x - (point.x - view.x) * ratio,
+    y: point.y - (point.y - view.y) * ratio
+  };
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function midpoint(a, b) {
+  return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
+
+// One image with wheel and pinch zoom, drag to pan and double-click to
+// toggle zoom. `command` is `{ type: "in" | "out" | "reset", id }` from the
+// toolbar; each id applies once, and an image shown later does not replay
+// the command that was current when it appeared.
+function ZoomableImage({ src, alt, command }) {
+  const stageRef = useRef(null);
+  const pointersRef = useRef(new Map());
+  const gestureRef = useRef(null);
+  const appliedCommandRef = useRef(command?.id);
+  const [view, setView] = useState(IDENTITY);
+
+  useEffect(() => {
+    if (!command || command.id === appliedCommandRef.current) {
+      return;
+    }
+    appliedCommandRef.current = command.id;
+    setView((prev) =>
+      command.type === "reset"
+        ? IDENTITY
+        : zoomAt(prev, prev.scale * (command.type === "in" ? ZOOM_STEP : 1 / ZOOM_STEP), { x: 0, y: 0 })
+    );
+  }, [command]);
+
+  function stagePoint(event) {
+    const rect = stageRef.current.getBoundingClientRect();
+    return { x: event.clientX - rect.left - rect.width / 2, y: event.clientY - rect.top - rect.height / 2 };
+  }
+
+  // React registers wheel listeners as passive, which cannot stop the page
+  // from scrolling.
+  useEffect(() => {
+    const stage = stageRef.current;
+    function handleWheel(event) {
+      event.preventDefault();
+      const point = stagePoint(event);
+      setView((prev) => zoomAt(prev, prev.scale * Math.exp(-event.deltaY / 300), point));
+    }
+    stage.addEventListener("wheel", handleWheel, { passive: false });
+    return () => stage.removeEventListener("wheel", handleWheel);
+  }, []);
+
+  // Gestures start from a snapshot of the view and the pointers, so each
+  // move is applied relative to where the gesture began.
+  function startGesture(currentView) {
+    const points = Array.from(pointersRef.current.values());
+    gestureRef.current =
+      points.length >= 2
+        ? { view: currentView, distance: distance(points[0], points[1]), midpoint: midpoint(points[0], points[1]) }
+        : points.length === 1
+          ? { view: currentView, start: points[0] }
+          : null;
+  }
+
+  function handlePointerDown(event) {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    pointersRef.current.set(event.pointerId, stagePoint(event));
+    startGesture(view);
+  }
+
+  function handlePointerMove(event) {
+    if (!pointersRef.current.has(event.pointerId)) {
+      return;
+    }
+    pointersRef.current.set(event.pointerId, stagePoint(event));
+    const gesture = gestureRef.current;
+    const points = Array.from(pointersRef.current.values());
+    if (!gesture) {
+      return;
+    }
+    if (points.length >= 2 && gesture.distance) {
+      const center = midpoint(points[0], points[1]);
+      const zoomed = zoomAt(gesture.view, gesture.view.scale * (distance(points[0], points[1]) / gesture.distance), gesture.midpoint);
+      setView(
+        zoomed.scale === MIN_SCALE
+          ? IDENTITY
+          : { ...zoomed, x: zoomed.x + center.x - gesture.midpoint.x, y: zoomed.y + center.y - gesture.midpoint.y }
+      );
+    } else if (points.length === 1 && gesture.start && gesture.view.scale > MIN_SCALE) {
+      setView({
+        ...gesture.view,
+        x: gesture.view.x + points[0].x - gesture.start.x,
+        y: gesture.view.y + points[0].y - gesture.start.y
+      });
+    }
+  }
+
+  function handlePointerUp(event) {
+    pointersRef.current.delete(event.pointerId);
+    startGesture(view);
+  }
+
+  function handleDoubleClick(event) {
+    const point = stagePoint(event);
+    setView((prev) => (prev.scale > MIN_SCALE ? IDENTITY : zoomAt(prev, DOUBLE_TAP_SCALE, point)));
+  }
+
+  return (
+    <div
+      ref={stageRef}
+      className={`lightbox-stage ${view.scale > MIN_SCALE ? "zoomed" : ""}`}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+      onDoubleClick={handleDoubleClick}
+    >
+      <img
+        src={src}
+        alt={alt}
+        draggable={false}
+        style={{ transform: `translate(${view.x}px, ${view.y}px) scale(${view.scale})` }}
+      />
+    </div>
+  );
+}
+
+// `images` are the exhibit sources of one question; `startIndex` picks the
+// one shown first. With several images, side-by-side shows them all at once,
+// each zoomable on its own.
+export default function ImageLightbox({ images, startIndex, label, onClose }) {
+  const { t } = useI18n();
+  const [index, setIndex] = useState(startIndex);
+  const [sideBySide, setSideBySide] = useState(false);
+  const [command, setCommand] = useState(null);
+  const closeRef = useRef(null);
+  const keyHandlerRef = useRef(null);
+
+  useEffect(() => {
+    closeRef.current?.focus();
+    const handleKeyDown = (event) => keyHandlerRef.current(event);
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
+
+  function zoom(type) {
+    setCommand({ type, id: Date.now() });
+  }
+
+  function step(delta) {
+    setIndex((prev) => (prev + delta + images.length) % images.length);
+  }
+
+  keyHandlerRef.current = (event) => {
+    if (event.key === "Escape") {
+      onClose();
+    } else if ((event.key === "ArrowLeft" || event.key === "ArrowRight") && !sideBySide && images.length > 1) {
+      event.preventDefault();
+      step(event.key === "ArrowLeft" ? -1 : 1);
+    } else if (event.key === "+" || event.key === "=") {
+      zoom("in");
+    } else if (event.key === "-") {
+      zoom("out");
+    } else if (event.key === "0") {
+      zoom("reset");
+    }
+  };
+
+  const shown = sideBySide ? images.map((src, itemIndex) => ({ src, itemIndex })) : [{ src: images[index], itemIndex: index }];
+
+  return (
+    <div className="modal-backdrop lightbox-backdrop" role="dialog" aria-modal="true" aria-label={label}>
+      <div className="lightbox-toolbar">
+        <span className="lightbox-counter">
+          {sideBySide
+            ? t("lightbox.allImages", { count: images.length })
+            : t("lightbox.counter", { position: index + 1, total: images.length })}
+        </span>
+        {images.length > 1 && !sideBySide ? (
+          <>
+            <button type="button" className="secondary" onClick={() => step(-1)} aria-label={t("lightbox.previous")}>
+              ‹
+            </button>
+            <button type="button" className="secondary" onClick={() => step(1)} aria-label={t("lightbox.next")}>
+              ›
+            </button>
+          </>
+        ) : null}
+        <button type="button" className="secondary" onClick={() => zoom("out")} aria-label={t("lightbox.zoomOut")} aria-keyshortcuts="-">
+          −
+        </button>
+        <button type="button" className="secondary" onClick={() => zoom("in")} aria-label={t("lightbox.zoomIn")} aria-keyshortcuts="+">
+          +
+        </button>
+        <button type="button" className="secondary" onClick={() => zoom("reset")} aria-keyshortcuts="0">
+          {t("lightbox.reset")}
+        </button>
+        {images.length > 1 ? (
+          <button type="button" className="secondary" onClick={() => setSideBySide((prev) => !prev)} aria-pressed={sideBySide}>
+            {t("lightbox.sideBySide")}
+          </button>
+        ) : null}
+        <button ref={closeRef} type="button" className="primary" onClick={onClose} aria-keyshortcuts="Escape">
+          {t("common.close")}
+        </button>
+      </div>
+      <div className={`lightbox-images ${sideBySide ? "side-by-side" : ""}`}>
+        {shown.map(({ src, itemIndex }) => (
+          <ZoomableImage
+            key={`${itemIndex}-${src.slice(0, 32)}`}
+            src={src}
+            alt={t("lightbox.imageAlt", { label, position: itemIndex + 1 })}
+            command={command}
+          />
+        ))}
+      </div>
+      <p className="lightbox-hint">{t("lightbox.hint")}</p>
+    </div>
+  );
+}
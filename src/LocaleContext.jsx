@@ -0,0 +1,64 @@
+import { createContext, useContext, useEffect, useMemo, useState } from "react";
+import { DEFAULT_LOCALE, resolveLocale, translate } from "./i18n";
+
+const LOCALE_STORAGE_KEY = "ccde_locale_settings";
+
+const LocaleContext = createContext(null);
+
+function readSavedLocale() {
+  try {
+    return JSON.parse(window.localStorage.getItem(LOCALE_STORAGE_KEY) || "{}").locale;
+  } catch {
+    return undefined;
+  }
+}
+
+function createI18n(locale, setLocale) {
+  const dateTime = new Intl.DateTimeFormat(locale, { dateStyle: "medium", timeStyle: "short" });
+  const date = new Intl.DateTimeFormat(locale, { dateStyle: "medium" });
+  const numberFormats = new Map();
+  const percentFormat = (digits) => {
+    if (!numberFormats.has(digits)) {
+      numberFormats.set(
+        digits,
+        new Intl.NumberFormat(locale, { style: "percent", minimumFractionDigits: digits, maximumFractionDigits: digits })
+      );
+    }
+    return numberFormats.get(digits);
+  };
+
+  return {
+    locale,
+    setLocale,
+    t: (key, params) => translate(locale, key, params),
+    formatDateTime: (value) => dateTime.format(new Date(value)),
+    formatDate: (value) => date.format(new Date(value)),
+    formatPercent: (ratio, digits = 1) => percentFormat(digits).format(ratio),
+    // Errors from `localizedError` are shown in the current locale; any other
+    // error keeps its own message, and non-errors fall back to `fallbackKey`.
+    errorMessage: (error, fallbackKey) =>
+      error?.messageKey
+        ? translate(locale, error.messageKey, error.messageParams)
+        : error instanceof Error
+          ? error.message
+          : translate(locale, fallbackKey)
+  };
+}
+
+export function LocaleProvider({ children }) {
+  const [locale, setLocale] = useState(() => resolveLocale(readSavedLocale()));
+
+  useEffect(() => {
+    window.localStorage.setItem(LOCALE_STORAGE_KEY, JSON.stringify({ locale }));
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const value = useMemo(() => createI18n(locale, setLocale), [locale]);
+  return <LocaleContext.Provider value={value}>{children}</LocaleContext.Provider>;
+}
+
+// `{ locale, setLocale, t, formatDateTime, formatDate, formatPercent,
+// errorMessage }` for the current locale.
+export function useI18n() {
+  return useContext(LocaleContext) || createI18n(DEFAULT_LOCALE, () => {});
+}
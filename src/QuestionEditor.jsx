@@ -0,0 +1,204 @@
+import { useEffect, useState } from "react";
+import { LETTERS, QUESTION_KINDS, resolveAnswer } from "./bankParser";
+import { useI18n } from "./LocaleContext";
+
+function readFileAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+// `target` is `{ bank, form, isNew, hasEdit, hasParsed }`; `takenNumbers`
+// lists the numbers already used in that bank.
+export default function QuestionEditor({ target, takenNumbers, onSave, onRevert, onClose, fontSize }) {
+  const [form, setForm] = useState(null);
+  const [imageUrl, setImageUrl] = useState("");
+  const [error, setError] = useState("");
+  const { t } = useI18n();
+
+  useEffect(() => {
+    setForm(target ? target.form : null);
+    setImageUrl("");
+    setError("");
+  }, [target]);
+
+  if (!target || !form) {
+    return null;
+  }
+
+  const options = Object.fromEntries(
+    LETTERS.filter((letter) => form.options[letter].trim()).map((letter) => [letter, form.options[letter].trim()])
+  );
+  const resolved = resolveAnswer(form.answer, options, form.text, form.type);
+  const answerProblem =
+    Object.keys(options).length === 0
+      ? t("editor.noOptions")
+      : resolved.answer.length === 0
+        ? t("editor.unreadableAnswer")
+        : resolved.kind !== form.type
+          ? t("editor.answerParsedAs", { kind: t(`editor.kind.${resolved.kind}`) })
+          : resolved.complete === false
+            ? t("editor.incompleteOrder")
+            : "";
+
+  function update(field, value) {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  }
+
+  function updateOption(letter, value) {
+    setForm((prev) => ({ ...prev, options: { ...prev.options, [letter]: value } }));
+  }
+
+  async function addImageFiles(files) {
+    let dataUrls;
+    try {
+      dataUrls = await Promise.all(Array.from(files).map(readFileAsDataUrl));
+    } catch {
+      setError(t("editor.imageReadFailed"));
+      return;
+    }
+    setError("");
+    setForm((prev) => ({ ...prev, images: [...prev.images, ...dataUrls] }));
+  }
+
+  function addImageUrl() {
+    const url = imageUrl.trim();
+    if (url) {
+      setForm((prev) => ({ ...prev, images: [...prev.images, url] }));
+      setImageUrl("");
+    }
+  }
+
+  function removeImage(index) {
+    setForm((prev) => ({ ...prev, images: prev.images.filter((_, itemIndex) => itemIndex !== index) }));
+  }
+
+  function save() {
+    const number = Number.parseInt(form.number, 10);
+    if (!Number.isFinite(number) || number < 1) {
+      setError(t("editor.invalidNumber"));
+      return;
+    }
+    if (target.isNew && takenNumbers.includes(number)) {
+      setError(t("editor.numberTaken", { number }));
+      return;
+    }
+    if (!form.text.trim() && Object.keys(options).length === 0 && form.images.length === 0) {
+      setError(t("editor.empty"));
+      return;
+    }
+    onSave({ ...form, number });
+  }
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal-card modal-large question-editor" style={{ fontSize: `${fontSize}px` }}>
+        <h2>
+          {target.isNew ? t("editor.addTitle") : t("editor.editTitle")} · {target.bank}
+        </h2>
+
+        <div className="settings-row">
+          <span>{t("common.numberLabel")}</span>
+          <input
+            type="number"
+            min={1}
+            value={form.number}
+            disabled={!target.isNew}
+            onChange={(event) => update("number", event.target.value)}
+          />
+          <span>{t("editor.kindLabel")}</span>
+          <select value={form.type} onChange={(event) => update("type", event.target.value)}>
+            {QUESTION_KINDS.map((kind) => (
+              <option key={kind} value={kind}>
+                {t(`editor.kind.${kind}`)}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <label className="editor-field">
+          <span>{t("editor.text")}</span>
+          <textarea rows={4} value={form.text} onChange={(event) => update("text", event.target.value)} />
+        </label>
+
+        <div className="editor-options">
+          {LETTERS.map((letter) => (
+            <label key={letter} className="editor-option">
+              <span>{letter}.</span>
+              <input
+                type="text"
+                value={form.options[letter]}
+                placeholder={t("editor.optionPlaceholder")}
+                onChange={(event) => updateOption(letter, event.target.value)}
+              />
+            </label>
+          ))}
+        </div>
+
+        <label className="editor-field">
+          <span>{t("editor.answer")}</span>
+          <input type="text" value={form.answer} onChange={(event) => update("answer", event.target.value)} />
+          <small>{t(`editor.answerHint.${form.type}`)}</small>
+          {answerProblem ? <small className="error-text">{answerProblem}</small> : null}
+        </label>
+
+        <div className="editor-field">
+          <span>{t("editor.images")}</span>
+          {form.images.length > 0 ? (
+            <div className="editor-images">
+              {form.images.map((src, index) => (
+                <figure key={`${index}-${src.slice(0, 32)}`}>
+                  <img src={src} alt={`image-${index + 1}`} />
+                  <button type="button" className="secondary" onClick={() => removeImage(index)}>
+                    {t("common.delete")}
+                  </button>
+                </figure>
+              ))}
+            </div>
+          ) : null}
+          <div className="editor-image-inputs">
+            <input type="file" accept="image/*" multiple onChange={(event) => addImageFiles(event.target.files)} />
+            <input
+              type="text"
+              value={imageUrl}
+              placeholder={t("editor.imageUrlPlaceholder")}
+              onChange={(event) => setImageUrl(event.target.value)}
+            />
+            <button type="button" className="secondary" onClick={addImageUrl} disabled={!imageUrl.trim()}>
+              {t("editor.addImage")}
+            </button>
+          </div>
+        </div>
+
+        <label className="editor-field">
+          <span>{t("editor.explanation")}</span>
+          <textarea rows={3} value={form.explanation} onChange={(event) => update("explanation", event.target.value)} />
+        </label>
+
+        <label className="editor-field">
+          <span>{t("editor.reference")}</span>
+          <input type="text" value={form.reference} onChange={(event) => update("reference", event.target.value)} />
+        </label>
+
+        {error ? <p className="error-text">{error}</p> : null}
+
+        <div className="modal-actions">
+          {target.hasEdit ? (
+            <button type="button" className="danger" onClick={onRevert}>
+              {target.hasParsed ? t("editor.revert") : t("editor.deleteQuestion")}
+            </button>
+          ) : null}
+          <button type="button" className="secondary" onClick={onClose}>
+            {t("common.cancel")}
+          </button>
+          <button type="button" className="primary" onClick={save}>
+            {t("common.save")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
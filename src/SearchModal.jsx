@@ -0,0 +1,93 @@
+import { useDeferredValue, useEffect, useMemo, useState } from "react";
+import { useI18n } from "./LocaleContext";
+import { buildSearchIndex, highlightParts, searchQuestions, searchSnippet } from "./search";
+
+function Highlighted({ text, ranges }) {
+  return highlightParts(text, ranges).map((part, index) =>
+    part.hit ? <mark key={index}>{part.text}</mark> : <span key={index}>{part.text}</span>
+  );
+}
+
+function SearchResult({ result, showBank, onSelect }) {
+  const { question, fields } = result;
+  const stemField = fields.find((field) => field.key === "text");
+  const stem = stemField ? searchSnippet(stemField.text, stemField.ranges) : searchSnippet(question.text, []);
+  const optionFields = fields.filter((field) => field.key !== "text");
+  const { t } = useI18n();
+
+  return (
+    <li>
+      <button type="button" className="search-result" onClick={() => onSelect(question)}>
+        <span className="search-result-meta">
+          {t("common.numberLabel")} {question.number}
+          {showBank ? <span className="bank-tag">{question.bank}</span> : null}
+        </span>
+        <span className="search-result-text">
+          <Highlighted text={stem.text} ranges={stem.ranges} />
+        </span>
+        {optionFields.map((field) => {
+          const option = searchSnippet(field.text, field.ranges);
+          return (
+            <span key={field.key} className="search-result-option">
+              {field.key}. <Highlighted text={option.text} ranges={option.ranges} />
+            </span>
+          );
+        })}
+      </button>
+    </li>
+  );
+}
+
+export default function SearchModal({ visible, questions, showBank, onSelect, onClose, fontSize }) {
+  const [query, setQuery] = useState("");
+  const { t } = useI18n();
+  const deferredQuery = useDeferredValue(query);
+  const index = useMemo(() => (visible ? buildSearchIndex(questions) : []), [visible, questions]);
+  const results = useMemo(() => searchQuestions(index, deferredQuery), [index, deferredQuery]);
+
+  useEffect(() => {
+    if (!visible) {
+      setQuery("");
+    }
+  }, [visible]);
+
+  if (!visible) {
+    return null;
+  }
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal-card modal-large search-modal" style={{ fontSize: `${fontSize}px` }}>
+        <h2>{t("search.title")}</h2>
+        <input
+          type="search"
+          className="search-input"
+          value={query}
+          placeholder={t("search.placeholder")}
+          autoFocus
+          onChange={(event) => setQuery(event.target.value)}
+        />
+        {deferredQuery.trim() ? (
+          <p className="settings-hint">
+            {results.length > 0 ? t("search.found", { count: results.length }) : t("search.none")}
+          </p>
+        ) : null}
+        <ul className="search-results">
+          {results.map((result) => (
+            <SearchResult
+              key={`${result.question.bank}#${result.question.number}`}
+              result={result}
+              showBank={showBank}
+              onSelect={onSelect}
+            />
+          ))}
+        </ul>
+        <div className="modal-actions">
+          <button type="button" className="secondary" onClick={onClose}>
+            {t("common.close")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
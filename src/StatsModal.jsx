@@ -0,0 +1,172 @@
+import { useEffect, useMemo, useState } from "react";
+import { getAllRecords } from "./db";
+import { useI18n } from "./LocaleContext";
+import { formatScore } from "./scoring";
+import { accuracyByDay, sessionTrends, summarizeAttempts, weakestQuestions } from "./stats";
+
+const TREND_DAYS = 30;
+const TREND_SESSIONS = 20;
+const WEAKEST_LIMIT = 10;
+
+function BarChart({ items, label, title }) {
+  return (
+    <div className="bar-chart">
+      {items.map((item) => (
+        <div key={item.key} className="bar-chart-column" title={title(item)}>
+          <div className="bar-chart-track">
+            <div className={`bar-chart-fill ${item.total === 0 ? "empty" : ""}`} style={{ height: `${Math.max(0, item.accuracy) * 100}%` }} />
+          </div>
+          <small>{label(item)}</small>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default function StatsModal({ visible, currentBanks, onClose, fontSize }) {
+  const [attempts, setAttempts] = useState([]);
+  const [loadError, setLoadError] = useState("");
+  const [scope, setScope] = useState("current");
+  const { t, formatDate, formatDateTime, formatPercent } = useI18n();
+  const formatSeconds = (ms) => t("stats.seconds", { value: (ms / 1000).toFixed(1) });
+
+  useEffect(() => {
+    if (!visible) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    getAllRecords("attempts")
+      .then((records) => {
+        if (!cancelled) {
+          setAttempts(records);
+          setLoadError("");
+        }
+      })
+      .catch(() => {
+        if (!cancelled) {
+          setLoadError("stats.loadError");
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [visible]);
+
+  const scopedAttempts = useMemo(
+    () =>
+      scope === "current" && currentBanks.length > 0
+        ? attempts.filter((attempt) => currentBanks.includes(attempt.bank))
+        : attempts,
+    [attempts, scope, currentBanks]
+  );
+  const summary = useMemo(() => summarizeAttempts(scopedAttempts), [scopedAttempts]);
+  const daily = useMemo(() => accuracyByDay(scopedAttempts, TREND_DAYS), [scopedAttempts]);
+  const sessions = useMemo(() => sessionTrends(scopedAttempts, TREND_SESSIONS), [scopedAttempts]);
+  const weakest = useMemo(() => weakestQuestions(scopedAttempts, WEAKEST_LIMIT), [scopedAttempts]);
+  const showBankColumn = scope === "all" || currentBanks.length > 1;
+
+  if (!visible) {
+    return null;
+  }
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal-card modal-large">
+        <h2>{t("stats.title")}</h2>
+
+        <div className="settings-row">
+          <span>{t("stats.scope")}</span>
+          <label>
+            <input
+              type="radio"
+              name="stats-scope"
+              checked={scope === "current"}
+              disabled={currentBanks.length === 0}
+              onChange={() => setScope("current")}
+            />
+            {currentBanks.length > 1 ? t("stats.currentBanks", { count: currentBanks.length }) : t("stats.currentBank")}
+          </label>
+          <label>
+            <input type="radio" name="stats-scope" checked={scope === "all"} onChange={() => setScope("all")} />
+            {t("stats.allBanks")}
+          </label>
+        </div>
+
+        {loadError ? <p className="error-text">{t(loadError)}</p> : null}
+
+        {summary.total === 0 ? (
+          <p>{t("stats.empty")}</p>
+        ) : (
+          <div className="stats-sections" style={{ fontSize: `${fontSize}px` }}>
+            <div className="stats-summary">
+              <div>{t("stats.attempts", { count: summary.total })}</div>
+              <div>{t("stats.accuracy", { value: formatPercent(summary.accuracy) })}</div>
+              <div>{t("stats.averageTime", { value: formatSeconds(summary.averageTimeMs) })}</div>
+            </div>
+            <p className="settings-hint">{t("stats.accuracyHint")}</p>
+
+            <section>
+              <h3>{t("stats.dailyTitle", { count: TREND_DAYS })}</h3>
+              <BarChart
+                items={daily.map((item) => ({ ...item, key: item.day }))}
+                label={(item) => item.day.slice(5)}
+                title={(item) =>
+                  `${formatDate(`${item.day}T00:00`)}: ${formatScore(item.correct)}/${item.total} (${formatPercent(item.accuracy)})`
+                }
+              />
+            </section>
+
+            <section>
+              <h3>{t("stats.sessionsTitle", { count: sessions.length })}</h3>
+              <BarChart
+                items={sessions.map((item) => ({ ...item, key: item.sessionId }))}
+                label={(item) => formatPercent(item.accuracy)}
+                title={(item) =>
+                  `${formatDateTime(item.startedAt)} ${item.bank}: ${formatScore(item.correct)}/${item.total}`
+                }
+              />
+            </section>
+
+            <section>
+              <h3>{t("stats.weakestTitle")}</h3>
+              {weakest.length === 0 ? (
+                <p>{t("stats.noMistakes")}</p>
+              ) : (
+                <table className="breakdown-table">
+                  <thead>
+                    <tr>
+                      <th>{t("common.number")}</th>
+                      {showBankColumn ? <th>{t("common.bank")}</th> : null}
+                      <th>{t("stats.attemptsColumn")}</th>
+                      <th>{t("stats.accuracyColumn")}</th>
+                      <th>{t("stats.averageTimeColumn")}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {weakest.map((entry) => (
+                      <tr key={`${entry.bank}#${entry.number}`}>
+                        <td>{entry.number}</td>
+                        {showBankColumn ? <td>{entry.bank}</td> : null}
+                        <td>{entry.total}</td>
+                        <td>{formatPercent(entry.accuracy)}</td>
+                        <td>{formatSeconds(entry.averageTimeMs)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </section>
+          </div>
+        )}
+
+        <div className="modal-actions">
+          <button type="button" className="secondary" onClick={onClose}>
+            {t("common.close")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
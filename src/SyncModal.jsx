@@ -0,0 +1,108 @@
+import { useEffect, useState } from "react";
+import { useI18n } from "./LocaleContext";
+
+export default function SyncModal({ visible, account, status, onSignIn, onSignOut, onSync, onClose }) {
+  const { t, formatDateTime, errorMessage } = useI18n();
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!visible) {
+      setPassword("");
+      setError("");
+    }
+  }, [visible]);
+
+  if (!visible) {
+    return null;
+  }
+
+  async function submit(register) {
+    setBusy(true);
+    setError("");
+    try {
+      await onSignIn(username.trim(), password, register);
+      setPassword("");
+    } catch (signInError) {
+      setError(errorMessage(signInError, "sync.signInFailed"));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal-card">
+        <h2>{t("sync.title")}</h2>
+        <p className="settings-hint">{t("sync.hint")}</p>
+
+        {account ? (
+          <>
+            <p>{t("sync.signedInAs", { username: account.username })}</p>
+            <p>
+              {t("sync.statusLabel", { status: t(`sync.status.${status.state}`) })}
+              {status.state === "error" ? ` (${errorMessage(status.error, "sync.error.failed")})` : ""}
+            </p>
+            <p>
+              {t("sync.lastSync", {
+                time: account.lastSyncAt ? formatDateTime(account.lastSyncAt) : t("sync.never")
+              })}
+            </p>
+            <div className="modal-actions">
+              <button type="button" className="danger" onClick={onSignOut}>
+                {t("sync.signOut")}
+              </button>
+              <button type="button" className="secondary" onClick={onClose}>
+                {t("common.close")}
+              </button>
+              <button type="button" className="primary" onClick={onSync} disabled={status.state === "syncing"}>
+                {t("sync.syncNow")}
+              </button>
+            </div>
+          </>
+        ) : (
+          <form
+            onSubmit={(event) => {
+              event.preventDefault();
+              submit(false);
+            }}
+          >
+            <div className="settings-row">
+              <span>{t("sync.username")}</span>
+              <input
+                type="text"
+                autoComplete="username"
+                value={username}
+                onChange={(event) => setUsername(event.target.value)}
+              />
+            </div>
+            <div className="settings-row">
+              <span>{t("sync.password")}</span>
+              <input
+                type="password"
+                autoComplete="current-password"
+                value={password}
+                onChange={(event) => setPassword(event.target.value)}
+              />
+            </div>
+            {status.state === "error" ? <p className="error-text">{errorMessage(status.error, "sync.error.failed")}</p> : null}
+            {error ? <p className="error-text">{error}</p> : null}
+            <div className="modal-actions">
+              <button type="button" className="secondary" onClick={onClose}>
+                {t("common.close")}
+              </button>
+              <button type="button" className="secondary" onClick={() => submit(true)} disabled={busy || !username.trim() || !password}>
+                {t("sync.register")}
+              </button>
+              <button type="submit" className="primary" disabled={busy || !username.trim() || !password}>
+                {busy ? t("common.pleaseWait") : t("sync.signIn")}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+import { getRecord, putRecord } from "./db";
+import { localizedError } from "./i18n";
+import { isAbortError, parseBank } from "./parseBank";
+
+// Bump when the parser output changes so cached banks get re-parsed.
+const PARSED_BANK_VERSION = 7;
+// Shared with public/sw.js, which answers image requests from this cache.
+const IMAGE_CACHE_NAME = "ccde-images-v1";
+
+async function hashArrayBuffer(arrayBuffer) {
+  // crypto.subtle only exists in secure contexts (HTTPS or localhost).
+  if (!globalThis.crypto?.subtle) {
+    return "";
+  }
+  const digest = await globalThis.crypto.subtle.digest("SHA-256", arrayBuffer);
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+// DOCX images are already data URIs inside the parsed questions; banks that
+// reference images by URL get them stored for offline use.
+async function cacheBankImages(questions) {
+  if (!globalThis.caches) {
+    return;
+  }
+  const urls = new Set(
+    questions.flatMap((question) => question.images).filter((src) => src && !src.startsWith("data:"))
+  );
+  if (urls.size === 0) {
+    return;
+  }
+  const cache = await globalThis.caches.open(IMAGE_CACHE_NAME);
+  await Promise.all(Array.from(urls, (url) => cache.add(url).catch(() => {})));
+}
+
+function fromCache(record, offline) {
+  return { questions: record.questions, diagnostics: record.diagnostics, offline };
+}
+
+// Loads the bank behind a route, reusing the parsed copy in IndexedDB when the
+// server reports it unchanged (ETag, then content hash) or cannot be reached.
+// Resolves to `{ questions, diagnostics, offline }`; `options` are passed on
+// to `parseBank`.
+export async function loadRouteBank(path, fileName, options = {}) {
+  const cached = await getRecord("banks", path).catch(() => null);
+  const usable = cached?.version === PARSED_BANK_VERSION ? cached : null;
+
+  let response;
+  try {
+    response = await fetch(path, {
+      cache: "no-store",
+      signal: options.signal,
+      headers: usable?.etag ? { "If-None-Match": usable.etag } : {}
+    });
+  } catch (error) {
+    if (usable && !isAbortError(error)) {
+      return fromCache(usable, true);
+    }
+    throw error;
+  }
+
+  if (response.status === 304 && usable) {
+    return fromCache(usable, false);
+  }
+  if (!response.ok) {
+    throw localizedError("errors.bankNotFound", { path });
+  }
+
+  const arrayBuffer = await response.arrayBuffer();
+  const etag = response.headers.get("ETag") || "";
+  const hash = await hashArrayBuffer(arrayBuffer);
+  if (usable && hash && usable.hash === hash) {
+    putRecord("banks", { ...usable, etag, checkedAt: Date.now() }).catch(() => {});
+    return fromCache(usable, false);
+  }
+
+  const parsed = await parseBank(arrayBuffer, fileName, options);
+  if (parsed.questions.length > 0) {
+    putRecord("banks", {
+      path,
+      fileName,
+      version: PARSED_BANK_VERSION,
+      etag,
+      hash,
+      questions: parsed.questions,
+      diagnostics: parsed.diagnostics,
+      checkedAt: Date.now()
+    }).catch(() => {});
+    cacheBankImages(parsed.questions).catch(() => {});
+  }
+  return { ...parsed, offline: false };
+}
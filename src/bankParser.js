@@ -0,0 +1,590 @@
+import { DEFAULT_LOCALE, translate } from "./i18n.js";
+
+export const LETTERS = ["A", "B", "C", "D", "E", "F"];
+
+const QUESTION_RE = /^(\d+)[.,、]\s*(.*)$/;
+const OPTION_RE = /^([A-F])[.,、]\s*(.*)$/i;
+const SECTION_RE = /^(Explanations?|References?|解析|参考(?:资料)?)\s*[:：]\s*(.*)$/i;
+const ORDER_RE = /^(?:Correct\s+)?(?:Ordering|Order|Sequence)\s*[:：]\s*([A-F](?:\s*[,，、;>→-]+\s*[A-F])+)\s*$/i;
+const MATCHING_ANSWER_RE = /^(?:\d+\s*[-:=>→]+\s*[A-F]\s*[,，、;]?\s*)+$/i;
+const MATCHING_PAIR_RE = /(\d+)\s*[-:=>→]+\s*([A-F])/gi;
+const LETTER_LIST_RE = /^\s*[A-F](?:\s*[,，、;>→-]+\s*[A-F])+\s*$/i;
+const TAG_MARKER_RE = /\[\s*(?:Tags?|标签)\s*[:：]\s*([^\]]*)\]/gi;
+const SNIPPET_MAX_LENGTH = 400;
+const PROGRESS_STEP = 20;
+
+export const QUESTION_KINDS = ["choice", "ordering", "matching"];
+
+export function normalizeText(text) {
+  return (text || "").replace(/\u00a0/g, " ").trim();
+}
+
+// Accepts "BGP, QoS" style lists (also ";", "|" and full-width separators) or
+// an array, and returns the distinct non-empty tags.
+export function parseTagList(value) {
+  const items = Array.isArray(value) ? value : String(value ?? "").split(/[,，;；|、]/);
+  const tags = [];
+  appendUnique(
+    tags,
+    items.map((item) => normalizeText(String(item ?? "")))
+  );
+  return tags;
+}
+
+// Pulls "[Tags: BGP, QoS]" markers out of a line.
+function extractTagMarkers(text) {
+  const tags = [];
+  const rest = text.replace(TAG_MARKER_RE, (_, list) => {
+    appendUnique(tags, parseTagList(list));
+    return "";
+  });
+  return { text: tags.length > 0 ? normalizeText(rest) : text, tags };
+}
+
+// Returns `{ raw, kind }` for an answer line, where `raw` keeps the letters in
+// the order and notation they were written ("C,A,D,B" or "CADB") or the pair
+// list for matching answers ("1-B, 2-A"), and `kind` is a hint ("" lets
+// `resolveAnswer` decide).
+function extractAnswer(text) {
+  const normalized = normalizeText(text);
+
+  const orderMatch = normalized.match(ORDER_RE);
+  if (orderMatch) {
+    return { raw: orderMatch[1].toUpperCase().match(/[A-F]/g).join(""), kind: "ordering" };
+  }
+
+  const answerIndex = normalized.toLowerCase().lastIndexOf("answer");
+  if (answerIndex < 0) {
+    return null;
+  }
+
+  const answerTail = normalized.slice(answerIndex);
+  const pairsMatch = answerTail.match(/^Answer[:：\s]*(.+)$/i);
+  if (pairsMatch && MATCHING_ANSWER_RE.test(pairsMatch[1])) {
+    return { raw: pairsMatch[1].toUpperCase(), kind: "matching" };
+  }
+
+  const match = answerTail.match(/^Answer[:\s]*([A-Z,，、;>→\s-]+)$/i);
+  if (!match) {
+    return null;
+  }
+
+  const letters = match[1].toUpperCase().match(/[A-F]/g) || [];
+  if (letters.length === 0) {
+    return null;
+  }
+  const written = normalizeText(match[1]).toUpperCase();
+  return { raw: LETTER_LIST_RE.test(written) ? written : letters.join(""), kind: "" };
+}
+
+function parseMatchingPairs(raw) {
+  const pairs = {};
+  for (const match of String(raw || "").matchAll(MATCHING_PAIR_RE)) {
+    pairs[match[1]] = match[2].toUpperCase();
+  }
+  return pairs;
+}
+
+// Matching targets are the numbered list lines inside the stem ("1. xxx").
+function extractMatchTargets(stem, keys) {
+  const texts = {};
+  for (const line of (stem || "").split("\n")) {
+    const match = normalizeText(line).match(QUESTION_RE);
+    if (match && texts[match[1]] === undefined) {
+      texts[match[1]] = match[2] || "";
+    }
+  }
+  return keys.map((key) => ({ key, text: texts[key] || "" }));
+}
+
+// Decides how a question is graded. Pair lists ("1-B, 2-A") are matching
+// answers. A separated letter list that uses every option exactly once and is
+// not written alphabetically ("C,A,D,B") is an ordering answer; a bare run of
+// letters ("BA", "DCBA") always stays a choice answer, as older banks write
+// them that way. Anything else is a regular single/multiple choice answer.
+// `kindHint` forces one of the kinds. An ordering answer is only gradable
+// (`complete`) when it places every option exactly once, as the ordering
+// input always submits all of them.
+export function resolveAnswer(rawAnswer, options, stem, kindHint = "") {
+  const raw = String(rawAnswer || "").toUpperCase();
+  const optionLetters = Object.keys(options);
+
+  const pairs = parseMatchingPairs(raw);
+  if (kindHint === "matching" || (!kindHint && Object.keys(pairs).length > 0)) {
+    const keys = Object.keys(pairs).sort((a, b) => Number(a) - Number(b));
+    return {
+      kind: "matching",
+      answer: Array.from(new Set(Object.values(pairs))).sort().join(""),
+      answerPairs: pairs,
+      matchTargets: extractMatchTargets(stem, keys)
+    };
+  }
+
+  const sequence = raw.match(/[A-F]/g) || [];
+  const sorted = Array.from(new Set(sequence)).sort().join("");
+  const placesEveryOption =
+    sequence.length >= 2 &&
+    sequence.length === optionLetters.length &&
+    new Set(sequence).size === sequence.length &&
+    sequence.every((letter) => optionLetters.includes(letter));
+
+  if (kindHint === "ordering") {
+    return { kind: "ordering", answer: sorted, answerOrder: sequence.join(""), complete: placesEveryOption };
+  }
+  if (!kindHint && LETTER_LIST_RE.test(raw) && placesEveryOption && sequence.join("") !== sorted) {
+    return { kind: "ordering", answer: sorted, answerOrder: sequence.join(""), complete: true };
+  }
+
+  return { kind: "choice", answer: sorted };
+}
+
+// The answer written back in the same notation the parser reads.
+export function formatSourceAnswer(question) {
+  if (question.kind === "ordering") {
+    return (question.answerOrder || "").split("").join(",");
+  }
+  if (question.kind === "matching") {
+    return (question.matchTargets || []).map(({ key }) => `${key}-${question.answerPairs[key]}`).join(", ");
+  }
+  return question.answer || "";
+}
+
+function matchSection(text) {
+  const match = text.match(SECTION_RE);
+  if (!match) {
+    return null;
+  }
+  const label = match[1].toLowerCase();
+  const field = label.startsWith("explanation") || label === "解析" ? "explanation" : "reference";
+  return { field, text: match[2] || "" };
+}
+
+function appendLine(existing, line) {
+  if (!line) {
+    return existing;
+  }
+  return existing ? `${existing}\n${line}` : line;
+}
+
+function stripInlineAnswer(text) {
+  return normalizeText(text).replace(/Answer[:\s]*[A-Z,\s]+$/i, "").trim();
+}
+
+function appendUnique(target, items) {
+  for (const item of items) {
+    if (item && !target.includes(item)) {
+      target.push(item);
+    }
+  }
+}
+
+const HTML_TOKEN_RE = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][a-zA-Z0-9]*)((?:"[^"]*"|'[^']*'|[^'">])*)>/g;
+const IMG_SRC_RE = /\bsrc\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i;
+const BLOCK_TAGS = new Set(["p", "li", "h1", "h2", "h3", "h4", "h5", "h6"]);
+const VOID_TAGS = new Set(["br", "hr", "img", "col", "wbr"]);
+const NAMED_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: "\u00a0" };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === "#") {
+      const value = code[1] === "x" || code[1] === "X" ? Number.parseInt(code.slice(2), 16) : Number(code.slice(1));
+      return Number.isFinite(value) ? String.fromCodePoint(value) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+// Turns mammoth's HTML into `{ text, images, heading? }` blocks without a DOM, so the
+// parser also runs inside a Web Worker. Paragraphs, list items and headings
+// are one block each (nested markup included); an element that only holds
+// text is a block of its own, and so is an image outside any paragraph.
+export function extractBlocksFromHtml(html) {
+  const blocks = [];
+  // Open non-block elements, each remembering its text and whether it has
+  // child elements (only childless ones become blocks).
+  const openElements = [];
+  let block = null;
+  let blockDepth = 0;
+  let looseText = "";
+  let lastIndex = 0;
+
+  function markChildElement() {
+    if (openElements.length > 0) {
+      openElements[openElements.length - 1].hasChildren = true;
+    }
+  }
+
+  function addText(raw) {
+    if (!raw) {
+      return;
+    }
+    const text = decodeEntities(raw);
+    if (block) {
+      block.text += text;
+    } else if (openElements.length > 0) {
+      openElements[openElements.length - 1].text += text;
+    } else {
+      looseText += text;
+    }
+  }
+
+  function flushLooseText() {
+    const text = normalizeText(looseText);
+    if (text) {
+      blocks.push({ text, images: [] });
+    }
+    looseText = "";
+  }
+
+  for (const match of html.matchAll(HTML_TOKEN_RE)) {
+    addText(html.slice(lastIndex, match.index));
+    lastIndex = match.index + match[0].length;
+    flushLooseText();
+
+    const [, closing, rawTag, attributes = ""] = match;
+    if (!rawTag) {
+      continue;
+    }
+    const tag = rawTag.toLowerCase();
+
+    if (tag === "img") {
+      const srcMatch = attributes.match(IMG_SRC_RE);
+      const src = srcMatch ? decodeEntities(srcMatch[1] ?? srcMatch[2] ?? srcMatch[3] ?? "") : "";
+      if (block) {
+        if (src) {
+          block.images.push(src);
+        }
+      } else {
+        markChildElement();
+        if (src) {
+          blocks.push({ text: "", images: [src] });
+        }
+      }
+      continue;
+    }
+
+    if (block) {
+      if (BLOCK_TAGS.has(tag)) {
+        blockDepth += closing ? -1 : 1;
+      }
+      if (blockDepth === 0) {
+        const text = normalizeText(block.text);
+        if (text || block.images.length > 0) {
+          blocks.push(block.heading ? { text, images: block.images, heading: block.heading } : { text, images: block.images });
+        }
+        block = null;
+      }
+      continue;
+    }
+
+    if (closing) {
+      const element = openElements.pop();
+      const text = normalizeText(element?.text);
+      if (element && !element.hasChildren && text) {
+        blocks.push({ text, images: [] });
+      }
+      continue;
+    }
+
+    markChildElement();
+    if (BLOCK_TAGS.has(tag)) {
+      block = { text: "", images: [], heading: /^h[1-6]$/.test(tag) ? Number(tag[1]) : 0 };
+      blockDepth = 1;
+    } else if (!VOID_TAGS.has(tag) && !attributes.trimEnd().endsWith("/")) {
+      openElements.push({ text: "", hasChildren: false });
+    }
+  }
+  addText(html.slice(lastIndex));
+  flushLooseText();
+
+  return blocks;
+}
+
+// Source lines are text, or `{ key, params }` for a line the importer
+// describes rather than quotes (an image-only paragraph, a spreadsheet row),
+// worded by `format(key, params)` in the reader's locale.
+export function formatSnippet(lines, format = (key, params) => translate(DEFAULT_LOCALE, key, params)) {
+  const text = lines.map((line) => (typeof line === "string" ? line : format(line.key, line.params))).join("\n");
+  return text.length > SNIPPET_MAX_LENGTH ? `${text.slice(0, SNIPPET_MAX_LENGTH)}…` : text;
+}
+
+// Each entry is `{ question, raw, absorbed }`: the parsed question, the raw
+// source lines it was built from, and the numbered lines its stem kept, each
+// of which may be another question rather than a list item. Returns a flat list of
+// `{ type, number, message, params, snippet, snippetLines }` anomalies in
+// document order; `params` fill the "diagnostics.message.<type>" locale string
+// and `message` is that string in the default locale. `snippet` is likewise in
+// the default locale, and `snippetLines` (only when a line is described rather
+// than quoted) lets the UI word it with `formatSnippet`.
+export function diagnoseQuestions(entries) {
+  const diagnostics = [];
+  const seenNumbers = new Map();
+  let previousNumber = null;
+
+  for (const { question, raw, absorbed = [] } of entries) {
+    const snippet = formatSnippet(raw);
+    const snippetLines = raw.some((line) => typeof line !== "string") ? { snippetLines: raw } : {};
+    const optionLetters = Object.keys(question.options);
+    const report = (type, params = {}) =>
+      diagnostics.push({
+        type,
+        number: question.number,
+        message: translate(DEFAULT_LOCALE, `diagnostics.message.${type}`, params),
+        params,
+        snippet,
+        ...snippetLines
+      });
+
+    if (seenNumbers.has(question.number)) {
+      report("duplicate_number", { number: question.number, count: seenNumbers.get(question.number) + 1 });
+    }
+    seenNumbers.set(question.number, (seenNumbers.get(question.number) || 0) + 1);
+
+    if (previousNumber !== null && question.number > previousNumber + 1) {
+      const missingRange =
+        question.number - previousNumber === 2
+          ? `${previousNumber + 1}`
+          : `${previousNumber + 1}-${question.number - 1}`;
+      report("numbering_gap", { from: previousNumber, to: question.number, missing: missingRange });
+    }
+    previousNumber = question.number;
+
+    if (optionLetters.length > 0 && !question.answer) {
+      report("missing_answer");
+    }
+
+    const unknownLetters = (question.answer || "").split("").filter((letter) => !optionLetters.includes(letter));
+    if (optionLetters.length > 0 && unknownLetters.length > 0) {
+      report("answer_not_in_options", {
+        answer: question.answer,
+        unknown: unknownLetters.join(""),
+        options: optionLetters.sort().join("")
+      });
+    }
+
+    if (question.kind === "ordering" && optionLetters.length > 0 && !question.canSubmit && question.answerOrder) {
+      report("incomplete_order", { order: question.answerOrder, options: [...optionLetters].sort().join("") });
+    }
+
+    for (const line of absorbed) {
+      report("absorbed_question", { line: formatSnippet([line]) });
+    }
+  }
+
+  return diagnostics;
+}
+
+function isStructuralLine(text) {
+  return Boolean(QUESTION_RE.test(text) || OPTION_RE.test(text) || extractAnswer(text) || matchSection(text));
+}
+
+// A lone h1 ahead of the first question is the document title ("CCDE
+// Practice Bank"), not a topic to tag every question with.
+function findTitleBlock(blocks) {
+  const topHeadings = blocks.filter((block) => block.heading === 1 && !isStructuralLine(normalizeText(block.text)));
+  if (topHeadings.length !== 1) {
+    return null;
+  }
+  const firstQuestion = blocks.findIndex((block) => QUESTION_RE.test(normalizeText(block.text)));
+  const titleIndex = blocks.indexOf(topHeadings[0]);
+  return firstQuestion < 0 || titleIndex < firstQuestion ? topHeadings[0] : null;
+}
+
+// Blocks are `{ text, images }` paragraphs in document order. Every importer
+// that works on free-form text funnels through here so all formats share the
+// same question/option/answer conventions as the DOCX banks.
+// `onProgress({ stage: "questions", done, total })` fires every few questions;
+// `total` counts numbered paragraphs, so it is an upper bound.
+export function parseQuestionsFromBlocks(blocks, onProgress) {
+  const questions = [];
+  const entries = [];
+  const estimatedTotal = onProgress ? blocks.filter((block) => QUESTION_RE.test(normalizeText(block.text))).length : 0;
+
+  let currentText = "";
+  let currentOptions = {};
+  let currentImages = [];
+  let currentNumber = null;
+  let currentAnswer = null;
+  let currentAnswerKind = "";
+  let currentRaw = [];
+  let currentAbsorbed = [];
+  let currentListNumber = 0;
+  // "Explanation:" / "Reference:" paragraphs and everything after them up to
+  // the next question belong to that section instead of the stem.
+  let currentSections = { explanation: "", reference: "" };
+  let currentSection = null;
+  // Heading texts by level (h1 at index 0). Questions under a heading are
+  // tagged with the whole heading path, plus any "[Tags: ...]" markers.
+  let headingPath = [];
+  let currentTags = [];
+  const titleBlock = findTitleBlock(blocks);
+
+  function flushCurrentQuestion() {
+    if (currentNumber !== null) {
+      const hasOptions = Object.keys(currentOptions).length > 0;
+      const stem = currentText.trim();
+      const { complete = true, ...resolved } = resolveAnswer(currentAnswer, currentOptions, stem, currentAnswerKind);
+      const canSubmit = hasOptions && resolved.answer.length > 0 && complete;
+
+      if (!stem && !hasOptions && currentImages.length === 0) {
+        return;
+      }
+
+      const question = {
+        number: currentNumber,
+        text: stem,
+        options: { ...currentOptions },
+        images: [...currentImages],
+        canSubmit,
+        ...resolved,
+        explanation: currentSections.explanation,
+        reference: currentSections.reference,
+        tags: [...currentTags]
+      };
+      questions.push(question);
+      entries.push({ question, raw: currentRaw, absorbed: currentAbsorbed });
+      if (onProgress && questions.length % PROGRESS_STEP === 0) {
+        onProgress({ stage: "questions", done: questions.length, total: estimatedTotal });
+      }
+    }
+  }
+
+  for (const block of blocks) {
+    const { text, tags: markerTags } = extractTagMarkers(normalizeText(block.text));
+    const images = block.images || [];
+    const rawLine = normalizeText(block.text) || (images.length > 0 ? { key: "diagnostics.snippet.image" } : "");
+
+    const qMatch = text.match(QUESTION_RE);
+    if (block === titleBlock) {
+      continue;
+    }
+    // Headings between questions tag what follows; a heading-styled line
+    // inside a question's stem (no options or answer yet) is just stem text.
+    const insideStem = currentNumber !== null && !currentAnswer && Object.keys(currentOptions).length === 0;
+    if (block.heading && text && !insideStem && !isStructuralLine(text)) {
+      headingPath = headingPath.slice(0, block.heading - 1);
+      headingPath[block.heading - 1] = text;
+      currentSection = null;
+      continue;
+    }
+
+    if (!text && markerTags.length > 0 && images.length === 0) {
+      if (currentNumber !== null) {
+        appendUnique(currentTags, markerTags);
+        currentRaw.push(rawLine);
+      }
+      continue;
+    }
+
+    if (qMatch && currentSection && Number(qMatch[1]) <= currentNumber) {
+      // Numbered points inside an explanation, not the next question.
+      appendUnique(currentTags, markerTags);
+      currentSections[currentSection] = appendLine(currentSections[currentSection], text);
+      currentRaw.push(rawLine);
+      appendUnique(currentImages, images);
+      continue;
+    }
+
+    if (qMatch) {
+      const candidateNumber = Number(qMatch[1]);
+      // Some stems contain numbered lists (for example: "1. ...", "2. ...")
+      // before options. Keep the first detected question number in this case.
+      const hasActiveQuestion = currentNumber !== null;
+      const hasOptions = Object.keys(currentOptions).length > 0;
+      const hasAnswer = Boolean(currentAnswer);
+
+      // Keep ordered-list lines like "1. xxx" inside the stem, but do not
+      // swallow a real next question number such as 77 after 76. Before the
+      // options, the next number of a list ("1.", "2.", "3.") stays in the
+      // stem even past the question's own number. Once options are listed, a
+      // higher number starts the next question: a question without an answer
+      // line is followed by the next one just the same.
+      const continuesList = candidateNumber === currentListNumber + 1;
+      const keepsInStem = hasOptions ? candidateNumber <= currentNumber : continuesList || candidateNumber <= currentNumber;
+      if (hasActiveQuestion && !hasAnswer && keepsInStem) {
+        if (continuesList) {
+          currentListNumber = candidateNumber;
+        }
+        // Reported either way, so a question merged into this one shows up.
+        currentAbsorbed.push(text);
+        appendUnique(currentImages, images);
+        appendUnique(currentTags, markerTags);
+        currentText = currentText ? `${currentText}\n${text}` : text;
+        currentRaw.push(rawLine);
+        continue;
+      }
+
+      flushCurrentQuestion();
+      currentNumber = candidateNumber;
+      currentText = qMatch[2] || "";
+      currentOptions = {};
+      currentImages = [];
+      currentAnswer = null;
+      currentAnswerKind = "";
+      currentRaw = [rawLine];
+      currentAbsorbed = [];
+      currentListNumber = 0;
+      currentSections = { explanation: "", reference: "" };
+      currentSection = null;
+      currentTags = headingPath.filter(Boolean);
+      appendUnique(currentTags, markerTags);
+      appendUnique(currentImages, images);
+      continue;
+    }
+
+    if (currentNumber !== null && rawLine) {
+      currentRaw.push(rawLine);
+      appendUnique(currentTags, markerTags);
+    }
+
+    const section = currentNumber !== null ? matchSection(text) : null;
+    if (section) {
+      currentSection = section.field;
+      currentSections[currentSection] = appendLine(currentSections[currentSection], section.text);
+      appendUnique(currentImages, images);
+      continue;
+    }
+
+    // Options or the answer line following an early section still belong to
+    // the question itself; once the answer is known, sections run to the end.
+    if (currentSection && !currentAnswer && (OPTION_RE.test(text) || extractAnswer(text))) {
+      currentSection = null;
+    }
+
+    if (currentSection) {
+      currentSections[currentSection] = appendLine(currentSections[currentSection], text);
+      appendUnique(currentImages, images);
+      continue;
+    }
+
+    const answerInfo = extractAnswer(text);
+    if (answerInfo) {
+      currentAnswer = answerInfo.raw;
+      currentAnswerKind = answerInfo.kind;
+    }
+
+    const optionMatch = text.match(OPTION_RE);
+    if (optionMatch) {
+      const letter = optionMatch[1].toUpperCase();
+      currentOptions[letter] = stripInlineAnswer(optionMatch[2] || "");
+      appendUnique(currentImages, images);
+      continue;
+    }
+
+    if (currentNumber !== null) {
+      appendUnique(currentImages, images);
+      if (text && Object.keys(currentOptions).length === 0) {
+        currentText = currentText ? `${currentText}\n${text}` : text;
+      }
+    }
+  }
+
+  flushCurrentQuestion();
+  onProgress?.({ stage: "questions", done: questions.length, total: questions.length });
+
+  return { questions, diagnostics: diagnoseQuestions(entries) };
+}
+
+export function parseQuestionsFromHtml(html, onProgress) {
+  return parseQuestionsFromBlocks(extractBlocksFromHtml(html), onProgress);
+}
@@ -0,0 +1,26 @@
+import { importQuestionBank } from "./importers";
+
+// One parse per worker: the client terminates the worker once it answers or
+// when the load is cancelled.
+self.onmessage = async ({ data }) => {
+  const { arrayBuffer, fileName } = data;
+  try {
+    const result = await importQuestionBank(arrayBuffer, fileName, (progress) => {
+      self.postMessage({ type: "progress", progress });
+    });
+    self.postMessage({ type: "done", result });
+  } catch (error) {
+    // Keys from `localizedError` go along so the page can show the message
+    // in its own locale.
+    self.postMessage({
+      type: "error",
+      message: error instanceof Error ? error.message : String(error),
+      messageKey: error?.messageKey,
+      messageParams: error?.messageParams
+    });
+  }
+};
+
+// Tells the page the module loaded; until then it keeps the bank so it can
+// parse on the main thread if loading fails.
+self.postMessage({ type: "ready" });
@@ -0,0 +1,92 @@
+import { localizedError } from "./i18n.js";
+
+const DB_NAME = "ccde_quiz";
+const DB_VERSION = 5;
+
+// Object stores and their key paths. Bump DB_VERSION when adding a store;
+// the upgrade handler creates whatever is missing.
+const STORES = {
+  sessions: "bank",
+  attempts: "id",
+  banks: "path",
+  library: "name",
+  edits: "key"
+};
+
+let databasePromise = null;
+
+export function openDatabase() {
+  if (databasePromise) {
+    return databasePromise;
+  }
+
+  databasePromise = new Promise((resolve, reject) => {
+    if (!globalThis.indexedDB) {
+      reject(new Error("IndexedDB is not available in this browser."));
+      return;
+    }
+
+    let blocked = false;
+    const request = globalThis.indexedDB.open(DB_NAME, DB_VERSION);
+    // A tab still running an older version holds the database open, and the
+    // upgrade waits for it; fail now so callers fall back instead of hanging.
+    request.onblocked = () => {
+      blocked = true;
+      reject(localizedError("errors.databaseBlocked"));
+    };
+    request.onupgradeneeded = () => {
+      const database = request.result;
+      for (const [storeName, keyPath] of Object.entries(STORES)) {
+        if (!database.objectStoreNames.contains(storeName)) {
+          database.createObjectStore(storeName, { keyPath });
+        }
+      }
+    };
+    request.onsuccess = () => {
+      const database = request.result;
+      if (blocked) {
+        database.close();
+        return;
+      }
+      // Let a newer version in another tab upgrade; the next call reopens.
+      database.onversionchange = () => {
+        database.close();
+        databasePromise = null;
+      };
+      resolve(database);
+    };
+    request.onerror = () => reject(request.error);
+  }).catch((error) => {
+    databasePromise = null;
+    throw error;
+  });
+
+  return databasePromise;
+}
+
+async function withStore(storeName, mode, action) {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeName, mode);
+    const request = action(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+export function getRecord(storeName, key) {
+  return withStore(storeName, "readonly", (store) => store.get(key));
+}
+
+export function getAllRecords(storeName) {
+  return withStore(storeName, "readonly", (store) => store.getAll());
+}
+
+export function putRecord(storeName, value) {
+  return withStore(storeName, "readwrite", (store) => store.put(value));
+}
+
+export function deleteRecord(storeName, key) {
+  return withStore(storeName, "readwrite", (store) => store.delete(key));
+}
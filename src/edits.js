@@ -0,0 +1,74 @@
+import { LETTERS, formatSourceAnswer } from "./bankParser";
+import { deleteRecord, getAllRecords, putRecord } from "./db";
+import { normalizeImportedQuestion } from "./importers";
+
+// Questions fixed or added in the editor are stored apart from the parsed
+// bank, keyed by bank and original number, and laid over it whenever the
+// bank is used. Re-importing the bank keeps the edits.
+export function editKey(bank, number) {
+  return `${bank}#${number}`;
+}
+
+export async function loadEdits() {
+  const records = await getAllRecords("edits");
+  return Object.fromEntries(records.map((record) => [record.key, record]));
+}
+
+export function saveEdit(record) {
+  return putRecord("edits", record);
+}
+
+export function removeEdit(key) {
+  return deleteRecord("edits", key);
+}
+
+// The editable fields of a question, with the answer in the notation the
+// parser reads ("AC", "C,A,D,B", "1-B, 2-A").
+export function editFormFromQuestion(question) {
+  return {
+    number: question.number,
+    text: question.text,
+    options: Object.fromEntries(LETTERS.map((letter) => [letter, question.options[letter] || ""])),
+    type: question.kind || "choice",
+    answer: formatSourceAnswer(question),
+    images: [...(question.images || [])],
+    explanation: question.explanation || "",
+    reference: question.reference || "",
+    tags: [...(question.tags || [])]
+  };
+}
+
+export function createEditRecord(bank, form) {
+  const number = Number.parseInt(form.number, 10);
+  return {
+    ...form,
+    key: editKey(bank, number),
+    bank,
+    number,
+    updatedAt: Date.now()
+  };
+}
+
+export function questionFromEdit(record) {
+  return { ...normalizeImportedQuestion(record, record.number), bank: record.bank, edited: true };
+}
+
+// Edited questions replace the parsed ones in place; added questions follow
+// the bank in number order.
+export function applyEdits(questions, bank, edits) {
+  const bankEdits = Object.values(edits).filter((record) => record.bank === bank);
+  if (bankEdits.length === 0) {
+    return questions;
+  }
+
+  const byNumber = new Map(bankEdits.map((record) => [record.number, record]));
+  const merged = questions.map((question) =>
+    byNumber.has(question.number) ? questionFromEdit(byNumber.get(question.number)) : question
+  );
+  const parsedNumbers = new Set(questions.map((question) => question.number));
+  const added = bankEdits
+    .filter((record) => !parsedNumbers.has(record.number))
+    .sort((a, b) => a.number - b.number)
+    .map(questionFromEdit);
+  return [...merged, ...added];
+}
@@ -0,0 +1,279 @@
+import JSZip from "jszip";
+import { LETTERS, formatSourceAnswer } from "./bankParser";
+import { DEFAULT_LOCALE, translate } from "./i18n";
+
+const DOCX_MAX_IMAGE_WIDTH_EMU = 5486400; // 6 inches
+const EMU_PER_PIXEL = 9525;
+const DOCX_IMAGE_TYPES = {
+  "image/png": "png",
+  "image/jpeg": "jpeg",
+  "image/gif": "gif",
+  "image/bmp": "bmp"
+};
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// Exports must stand on their own, so images referenced by URL (Markdown,
+// CSV or JSON banks) are fetched and embedded as data URIs when possible.
+async function inlineImage(src) {
+  if (!src || src.startsWith("data:")) {
+    return src;
+  }
+  try {
+    const response = await fetch(src);
+    if (!response.ok) {
+      return src;
+    }
+    return await blobToDataUrl(await response.blob());
+  } catch {
+    return src;
+  }
+}
+
+async function inlineQuestionImages(questions) {
+  return Promise.all(
+    questions.map(async (question) => ({
+      ...question,
+      images: await Promise.all((question.images || []).map(inlineImage))
+    }))
+  );
+}
+
+function toExportRecord(question) {
+  return {
+    number: question.number,
+    type: question.kind || "choice",
+    text: question.text,
+    options: { ...question.options },
+    answer: formatSourceAnswer(question),
+    images: [...(question.images || [])],
+    explanation: question.explanation || "",
+    reference: question.reference || "",
+    tags: [...(question.tags || [])]
+  };
+}
+
+function csvCell(value) {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function ankiField(html) {
+  return html.replace(/\t/g, " ").replace(/\r?\n/g, "<br>");
+}
+
+export async function buildQuestionsJson(questions) {
+  const inlined = await inlineQuestionImages(questions);
+  return JSON.stringify({ questions: inlined.map(toExportRecord) }, null, 2);
+}
+
+export async function buildQuestionsCsv(questions) {
+  const inlined = await inlineQuestionImages(questions);
+  const header = ["number", "type", "question", ...LETTERS, "answer", "images", "explanation", "reference", "tags"];
+  const rows = inlined.map((question) => [
+    question.number,
+    question.kind || "choice",
+    question.text,
+    ...LETTERS.map((letter) => question.options[letter] || ""),
+    formatSourceAnswer(question),
+    question.images.join(" "),
+    question.explanation || "",
+    question.reference || "",
+    (question.tags || []).join(", ")
+  ]);
+  // Excel only detects UTF-8 (Chinese text) reliably with a BOM.
+  return `\uFEFF${[header, ...rows].map((row) => row.map(csvCell).join(",")).join("\r\n")}\r\n`;
+}
+
+// Tab-separated notes that Anki's "Import File" understands directly: the
+// header lines select the separator, enable HTML and map the tag column.
+// Cards without an answer say so in `locale`.
+export async function buildAnkiDeck(questions, deckTag, locale = DEFAULT_LOCALE) {
+  const inlined = await inlineQuestionImages(questions);
+  const lines = ["#separator:tab", "#html:true", "#tags column:3"];
+
+  for (const question of inlined) {
+    const optionLetters = Object.keys(question.options).sort();
+    const front = [
+      `<b>${question.number}.</b> ${escapeHtml(question.text)}`,
+      ...question.images.map((src) => `<img src="${escapeHtml(src)}">`),
+      ...optionLetters.map((letter) => `${letter}. ${escapeHtml(question.options[letter])}`)
+    ].join("<br>");
+    const answerLetters = (question.kind === "ordering" ? question.answerOrder : question.answer || "").split("");
+    const backParts = answerLetters.length
+      ? [
+          `<b>${escapeHtml(formatSourceAnswer(question))}</b>`,
+          ...answerLetters.map((letter) => `${letter}. ${escapeHtml(question.options[letter] || "")}`)
+        ]
+      : [translate(locale, "export.noAnswer")];
+    if (question.explanation) {
+      backParts.push(`<br><i>Explanation:</i> ${escapeHtml(question.explanation)}`);
+    }
+    if (question.reference) {
+      backParts.push(`<i>Reference:</i> ${escapeHtml(question.reference)}`);
+    }
+    const back = backParts.join("<br>");
+    const tags = [deckTag, ...(question.tags || [])].map((tag) => tag.replace(/\s+/g, "_"));
+    lines.push([ankiField(front), ankiField(back), tags.join(" ")].join("\t"));
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+function escapeXml(text) {
+  return escapeHtml(text).replace(/'/g, "&apos;");
+}
+
+function docxParagraph(text) {
+  return `<w:p><w:r><w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r></w:p>`;
+}
+
+function docxImageParagraph(image, index) {
+  const id = index + 1;
+  return `<w:p><w:r><w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0"><wp:extent cx="${image.cx}" cy="${image.cy}"/><wp:docPr id="${id}" name="Picture ${id}"/><a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture"><pic:pic><pic:nvPicPr><pic:cNvPr id="${id}" name="${image.fileName}"/><pic:cNvPicPr/></pic:nvPicPr><pic:blipFill><a:blip r:embed="${image.relationId}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill><pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${image.cx}" cy="${image.cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr></pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r></w:p>`;
+}
+
+async function measureImage(blob) {
+  try {
+    const bitmap = await createImageBitmap(blob);
+    const size = { width: bitmap.width, height: bitmap.height };
+    bitmap.close();
+    return size;
+  } catch {
+    return { width: 640, height: 480 };
+  }
+}
+
+// Word only embeds raster formats; anything else (SVG, failed fetches) is
+// skipped rather than producing a file Word refuses to open.
+async function loadDocxImage(src, index) {
+  try {
+    const response = await fetch(src);
+    const blob = response.ok ? await response.blob() : null;
+    const extension = blob ? DOCX_IMAGE_TYPES[blob.type] : "";
+    if (!extension) {
+      return null;
+    }
+    const { width, height } = await measureImage(blob);
+    const cx = Math.min(DOCX_MAX_IMAGE_WIDTH_EMU, width * EMU_PER_PIXEL);
+    return {
+      data: await blob.arrayBuffer(),
+      extension,
+      fileName: `image${index + 1}.${extension}`,
+      relationId: `rIdImage${index + 1}`,
+      cx,
+      cy: Math.round((cx * height) / Math.max(1, width))
+    };
+  } catch {
+    return null;
+  }
+}
+
+// The answer line the DOCX parser reads back into the same question kind.
+function docxAnswerLine(question) {
+  const answer = formatSourceAnswer(question);
+  if (!answer) {
+    return "";
+  }
+  return question.kind === "ordering" ? `Order: ${answer}` : `Answer: ${answer}`;
+}
+
+// Writes the bank in the paragraph layout documented for DOCX imports, so
+// the file can be edited in Word and loaded again.
+export async function buildQuestionsDocx(questions) {
+  const zip = new JSZip();
+  const images = [];
+  const paragraphs = [];
+
+  for (const question of questions) {
+    const [firstLine = "", ...moreLines] = question.text.split("\n");
+    paragraphs.push(docxParagraph(`${question.number}. ${firstLine}`));
+    moreLines.forEach((line) => paragraphs.push(docxParagraph(line)));
+
+    for (const src of question.images || []) {
+      const image = await loadDocxImage(src, images.length);
+      if (image) {
+        paragraphs.push(docxImageParagraph(image, images.length));
+        images.push(image);
+      }
+    }
+
+    Object.keys(question.options)
+      .sort()
+      .forEach((letter) => paragraphs.push(docxParagraph(`${letter}. ${question.options[letter]}`)));
+
+    const answerLine = docxAnswerLine(question);
+    if (answerLine) {
+      paragraphs.push(docxParagraph(answerLine));
+    }
+    if (question.tags?.length > 0) {
+      paragraphs.push(docxParagraph(`[Tags: ${question.tags.join(", ")}]`));
+    }
+    if (question.explanation) {
+      question.explanation.split("\n").forEach((line, index) => {
+        paragraphs.push(docxParagraph(index === 0 ? `Explanation: ${line}` : line));
+      });
+    }
+    if (question.reference) {
+      question.reference.split("\n").forEach((line, index) => {
+        paragraphs.push(docxParagraph(index === 0 ? `Reference: ${line}` : line));
+      });
+    }
+    paragraphs.push("<w:p/>");
+  }
+
+  const imageExtensions = Array.from(new Set(images.map((image) => image.extension)));
+  zip.file(
+    "[Content_Types].xml",
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/>${imageExtensions
+      .map((extension) => `<Default Extension="${extension}" ContentType="image/${extension}"/>`)
+      .join("")}<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>`
+  );
+  zip.file(
+    "_rels/.rels",
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>`
+  );
+  zip.file(
+    "word/_rels/document.xml.rels",
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${images
+      .map(
+        (image) =>
+          `<Relationship Id="${image.relationId}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/image" Target="media/${image.fileName}"/>`
+      )
+      .join("")}</Relationships>`
+  );
+  zip.file(
+    "word/document.xml",
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture"><w:body>${paragraphs.join("")}<w:sectPr/></w:body></w:document>`
+  );
+  images.forEach((image) => zip.file(`word/media/${image.fileName}`, image.data));
+
+  return zip.generateAsync({ type: "blob" });
+}
+
+export function downloadFile(fileName, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const anchor = document.createElement("a");
+  anchor.href = url;
+  anchor.download = fileName;
+  document.body.appendChild(anchor);
+  anchor.click();
+  anchor.remove();
+  window.setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,48 @@
+import en from "./locales/en.js";
+import zhCN from "./locales/zh-CN.js";
+
+// UI strings live in one flat dictionary per locale, keyed like
+// "settings.title". `{name}` placeholders are filled from params, and a key
+// with `_one` / `_other` variants picks one by `params.count`.
+export const LOCALES = {
+  "zh-CN": { label: "中文", messages: zhCN },
+  en: { label: "English", messages: en }
+};
+export const DEFAULT_LOCALE = "zh-CN";
+
+export function resolveLocale(preferred) {
+  if (LOCALES[preferred]) {
+    return preferred;
+  }
+  const languages = globalThis.navigator?.languages || [];
+  return languages.some((language) => language.toLowerCase().startsWith("zh")) || languages.length === 0
+    ? DEFAULT_LOCALE
+    : "en";
+}
+
+function lookup(locale, key, params) {
+  const { messages } = LOCALES[locale];
+  if (typeof params.count === "number" && messages[`${key}_other`] !== undefined) {
+    const form = new Intl.PluralRules(locale).select(params.count);
+    return messages[`${key}_${form}`] ?? messages[`${key}_other`];
+  }
+  return messages[key];
+}
+
+// Falls back to the default locale, then to the key itself, so a missing
+// string shows up as text rather than breaking the page.
+export function translate(locale, key, params = {}) {
+  const template =
+    (LOCALES[locale] && lookup(locale, key, params)) ?? lookup(DEFAULT_LOCALE, key, params) ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+}
+
+// Errors thrown below the UI (parsers, bank loading, sync) carry a message
+// key so the UI can show them in the current locale; `message` itself is the
+// default-locale text for logs and older callers.
+export function localizedError(key, params = {}) {
+  const error = new Error(translate(DEFAULT_LOCALE, key, params));
+  error.messageKey = key;
+  error.messageParams = params;
+  return error;
+}
@@ -0,0 +1,321 @@
+import mammoth from "mammoth";
+import {
+  LETTERS,
+  QUESTION_KINDS,
+  diagnoseQuestions,
+  normalizeText,
+  parseQuestionsFromBlocks,
+  parseQuestionsFromHtml,
+  parseTagList,
+  resolveAnswer
+} from "./bankParser.js";
+import { localizedError } from "./i18n.js";
+
+export const BANK_EXTENSIONS = [".docx", ".md", ".markdown", ".txt", ".csv", ".xlsx", ".json"];
+
+const MD_HEADING_RE = /^\s{0,3}(#{1,6})\s+/;
+const MD_IMAGE_RE = /!\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g;
+
+const COLUMN_ALIASES = {
+  number: ["number", "no", "no.", "#", "id", "题号"],
+  text: ["question", "text", "stem", "题目", "题干"],
+  answer: ["answer", "answers", "答案"],
+  type: ["type", "kind", "题型"],
+  images: ["images", "image", "图片"],
+  explanation: ["explanation", "解析"],
+  reference: ["reference", "references", "参考"],
+  tags: ["tags", "tag", "标签"]
+};
+
+export function getBankExtension(fileName) {
+  const lowerName = (fileName || "").toLowerCase();
+  return BANK_EXTENSIONS.find((extension) => lowerName.endsWith(extension)) || "";
+}
+
+// The address that opens the bank file at `filePath` (URL-encoded, such as
+// `/network.json`) in the app. `/<name>` loads `<name>.docx`; other formats
+// add `?format=<ext>`, because `/<name>.<ext>` is the file itself and the web
+// server would return it instead of the app.
+export function bankRoutePath(filePath) {
+  const extension = getBankExtension(filePath);
+  const base = filePath.slice(0, filePath.length - extension.length);
+  return extension === ".docx" ? base : `${base}?format=${extension.slice(1)}`;
+}
+
+function decodeText(arrayBuffer) {
+  return new TextDecoder("utf-8").decode(arrayBuffer);
+}
+
+// Answers may be a string in the DOCX notation, an array of letters, or an
+// object of matching pairs. Returns the string plus the kind it implies.
+function toRawAnswer(value, kind) {
+  if (Array.isArray(value)) {
+    return { raw: value.join(","), kind: kind || "choice" };
+  }
+  if (value && typeof value === "object") {
+    const pairs = Object.entries(value).map(([key, letter]) => `${key}-${letter}`);
+    return { raw: pairs.join(", "), kind: kind || "matching" };
+  }
+  return { raw: String(value ?? ""), kind };
+}
+
+function toImageList(value) {
+  if (Array.isArray(value)) {
+    return value.map((item) => String(item || "").trim()).filter(Boolean);
+  }
+  return String(value ?? "")
+    .split(/[\s|]+/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+// Shapes a structured (JSON / CSV / XLSX) record, or a question edited in the
+// app, exactly like the questions emitted by `parseQuestionsFromBlocks`.
+export function normalizeImportedQuestion(raw, fallbackNumber) {
+  const options = {};
+  if (Array.isArray(raw.options)) {
+    raw.options.slice(0, LETTERS.length).forEach((optionText, index) => {
+      const text = normalizeText(String(optionText ?? ""));
+      if (text) {
+        options[LETTERS[index]] = text;
+      }
+    });
+  } else {
+    for (const [key, optionText] of Object.entries(raw.options || {})) {
+      const letter = key.trim().toUpperCase();
+      const text = normalizeText(String(optionText ?? ""));
+      if (LETTERS.includes(letter) && text) {
+        options[letter] = text;
+      }
+    }
+  }
+
+  const number = Number.parseInt(raw.number, 10);
+  const text = normalizeText(String(raw.text ?? raw.question ?? ""));
+  const typeHint = normalizeText(String(raw.type ?? "")).toLowerCase();
+  const answerInfo = toRawAnswer(raw.answer, QUESTION_KINDS.includes(typeHint) ? typeHint : "");
+  const { complete = true, ...resolved } = resolveAnswer(answerInfo.raw, options, text, answerInfo.kind);
+  const hasOptions = Object.keys(options).length > 0;
+
+  return {
+    number: Number.isFinite(number) && number > 0 ? number : fallbackNumber,
+    text,
+    options,
+    images: toImageList(raw.images),
+    canSubmit: hasOptions && resolved.answer.length > 0 && complete,
+    ...resolved,
+    explanation: normalizeText(String(raw.explanation ?? "")),
+    reference: normalizeText(String(raw.reference ?? "")),
+    tags: parseTagList(raw.tags)
+  };
+}
+
+// `entries` pair each normalized question with the raw source record it came
+// from so diagnostics can quote the offending row.
+function finishStructuredImport(entries) {
+  const kept = entries.filter(
+    ({ question }) => question.text || Object.keys(question.options).length > 0 || question.images.length > 0
+  );
+  return {
+    questions: kept.map((entry) => entry.question),
+    diagnostics: diagnoseQuestions(kept)
+  };
+}
+
+async function importDocx(arrayBuffer, onProgress) {
+  let imageCount = 0;
+  onProgress?.({ stage: "images", done: 0 });
+  const result = await mammoth.convertToHtml(
+    { arrayBuffer },
+    {
+      convertImage: mammoth.images.imgElement(async (image) => {
+        const base64 = await image.read("base64");
+        imageCount += 1;
+        onProgress?.({ stage: "images", done: imageCount });
+        return {
+          src: `data:${image.contentType};base64,${base64}`
+        };
+      })
+    }
+  );
+  return parseQuestionsFromHtml(result.value, onProgress);
+}
+
+function importPlainText(text, onProgress) {
+  const blocks = text
+    .split(/\r?\n/)
+    .map((line) => ({ text: normalizeText(line), images: [] }))
+    .filter((block) => block.text);
+  return parseQuestionsFromBlocks(blocks, onProgress);
+}
+
+function stripMarkdownLine(line) {
+  return line
+    .replace(/^\s{0,3}#{1,6}\s+/, "")
+    .replace(/^\s{0,3}>\s?/, "")
+    .replace(/^\s*[-*+]\s+/, "")
+    .replace(/(\*\*|__)(.+?)\1/g, "$2")
+    .replace(/`([^`]*)`/g, "$1")
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1");
+}
+
+function importMarkdown(text, onProgress) {
+  const blocks = [];
+  for (const line of text.split(/\r?\n/)) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      continue;
+    }
+    const images = Array.from(line.matchAll(MD_IMAGE_RE), (match) => match[1]);
+    const lineText = normalizeText(stripMarkdownLine(line.replace(MD_IMAGE_RE, "")));
+    const headingMatch = line.match(MD_HEADING_RE);
+    if (headingMatch && lineText) {
+      blocks.push({ text: lineText, images, heading: headingMatch[1].length });
+    } else if (lineText || images.length > 0) {
+      blocks.push({ text: lineText, images });
+    }
+  }
+  return parseQuestionsFromBlocks(blocks, onProgress);
+}
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function resolveColumns(header) {
+  const columns = { options: {} };
+  header.forEach((cell, index) => {
+    const name = normalizeText(String(cell ?? "")).toLowerCase();
+    for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+      if (aliases.includes(name) && columns[field] === undefined) {
+        columns[field] = index;
+      }
+    }
+    const optionMatch = name.match(/^(?:option[\s_-]*|选项)?([a-f])$/);
+    if (optionMatch) {
+      columns.options[optionMatch[1].toUpperCase()] = index;
+    }
+  });
+  return columns;
+}
+
+function questionsFromRows(rows) {
+  const [header = [], ...body] = rows;
+  const columns = resolveColumns(header);
+  if (columns.text === undefined || columns.answer === undefined) {
+    throw localizedError("errors.missingHeader");
+  }
+
+  const cell = (row, index) => (index === undefined ? "" : row[index] ?? "");
+  return finishStructuredImport(
+    body.map((row, rowIndex) => ({
+      question: normalizeImportedQuestion(
+        {
+          number: cell(row, columns.number),
+          text: cell(row, columns.text),
+          options: Object.fromEntries(
+            Object.entries(columns.options).map(([letter, index]) => [letter, cell(row, index)])
+          ),
+          answer: cell(row, columns.answer),
+          type: cell(row, columns.type),
+          images: cell(row, columns.images),
+          explanation: cell(row, columns.explanation),
+          reference: cell(row, columns.reference),
+          tags: cell(row, columns.tags)
+        },
+        rowIndex + 1
+      ),
+      raw: [{ key: "diagnostics.snippet.row", params: { row: rowIndex + 2, cells: row.join(" | ") } }]
+    }))
+  );
+}
+
+async function importXlsx(arrayBuffer) {
+  const XLSX = await import("xlsx");
+  const workbook = XLSX.read(arrayBuffer, { type: "array" });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) {
+    return { questions: [], diagnostics: [] };
+  }
+  return questionsFromRows(XLSX.utils.sheet_to_json(sheet, { header: 1, defval: "", raw: false }));
+}
+
+function importJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw localizedError("errors.invalidJson");
+  }
+
+  const list = Array.isArray(data) ? data : data?.questions;
+  if (!Array.isArray(list)) {
+    throw localizedError("errors.jsonNotList");
+  }
+  return finishStructuredImport(
+    list.map((item, index) => ({
+      question: normalizeImportedQuestion(item || {}, index + 1),
+      raw: [JSON.stringify(item)]
+    }))
+  );
+}
+
+// Resolves to `{ questions, diagnostics }`. `onProgress` receives
+// `{ stage: "images", done }` while DOCX images are converted and
+// `{ stage: "questions", done, total }` while paragraphs are parsed.
+export async function importQuestionBank(arrayBuffer, fileName, onProgress) {
+  switch (getBankExtension(fileName)) {
+    case ".docx":
+      return importDocx(arrayBuffer, onProgress);
+    case ".md":
+    case ".markdown":
+      return importMarkdown(decodeText(arrayBuffer), onProgress);
+    case ".txt":
+      return importPlainText(decodeText(arrayBuffer), onProgress);
+    case ".csv":
+      return questionsFromRows(parseCsv(decodeText(arrayBuffer)));
+    case ".xlsx":
+      return importXlsx(arrayBuffer);
+    case ".json":
+      return importJson(decodeText(arrayBuffer));
+    default:
+      throw localizedError("errors.unsupportedFormat", { extensions: BANK_EXTENSIONS.join(" / ") });
+  }
+}
@@ -0,0 +1,40 @@
+import { deleteRecord, getAllRecords, putRecord } from "./db";
+
+// Every imported bank is kept in IndexedDB under its file name. That name is
+// the `bank` each question carries, and the key that attempts, review cards
+// and wrong-answer records use alongside the original question number.
+export function createLibraryEntry(name, { questions, diagnostics }, addedAt = Date.now()) {
+  return {
+    name,
+    questions: questions.map((question) => ({ ...question, bank: name })),
+    diagnostics,
+    addedAt,
+    updatedAt: Date.now()
+  };
+}
+
+export async function loadLibrary() {
+  const entries = await getAllRecords("library");
+  return entries.sort((a, b) => a.addedAt - b.addedAt);
+}
+
+export function saveLibraryEntry(entry) {
+  return putRecord("library", entry);
+}
+
+export function removeLibraryEntry(name) {
+  return deleteRecord("library", name);
+}
+
+// Replaces the entry with the same name in place, or appends a new one.
+export function upsertLibraryEntry(entries, entry) {
+  return entries.some((item) => item.name === entry.name)
+    ? entries.map((item) => (item.name === entry.name ? entry : item))
+    : [...entries, entry];
+}
+
+// Sessions are saved per selection of banks; a single bank keeps using its
+// file name so earlier saved sessions still resume.
+export function selectionKey(names) {
+  return names.join(" + ");
+}
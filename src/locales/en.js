@@ -0,0 +1,391 @@
+export default {
+  "common.bank": "Bank",
+  "common.cancel": "Cancel",
+  "common.close": "Close",
+  "common.delete": "Delete",
+  "common.number": "No.",
+  "common.numberLabel": "No.:",
+  "common.ok": "OK",
+  "common.pleaseWait": "Please wait...",
+  "common.questionCount_one": "{count} question",
+  "common.questionCount_other": "{count} questions",
+  "common.save": "Save",
+  "common.updatedAt": "updated {time}",
+
+  "toolbar.progress": "Progress: {done}/{total}",
+  "toolbar.remaining": "Time left: {duration}",
+  "toolbar.score": "Score: {score}",
+  "toolbar.notebook_one": "Notebook: {count} question",
+  "toolbar.notebook_other": "Notebook: {count} questions",
+  "toolbar.bankFile": "Bank file: {name}",
+  "toolbar.noBank": "none loaded",
+  "toolbar.offline": "Offline copy",
+  "toolbar.fontSize": "Font: {size}",
+  "toolbar.restart": "Restart",
+  "toolbar.share": "Copy share link",
+  "toolbar.shareCopied": "Link copied",
+  "toolbar.shareTitle": "A link with this bank, mode, count and seed: everyone who opens it gets the same questions in the same option order",
+  "toolbar.shareLocalChanges":
+    "This run uses your edits or hand-added tags, which a link cannot carry: others would get different questions. Start a run without them to share it",
+  "toolbar.sharePrompt": "Copy this link:",
+  "toolbar.dropToUpload": "Drop to upload",
+  "toolbar.changeBank": "Change bank",
+  "toolbar.chooseBank": "Choose bank",
+  "toolbar.library": "My banks ({count})",
+  "toolbar.search": "Search",
+  "toolbar.wrongAnswers": "Wrong answers",
+  "toolbar.stats": "Statistics",
+  "toolbar.export": "Export",
+  "toolbar.sync": "Sync: {status}",
+  "toolbar.sync.offline": "offline",
+  "toolbar.sync.error": "failed",
+  "toolbar.signIn": "Sign in to sync",
+  "toolbar.shortcuts": "Shortcuts",
+  "toolbar.shortcutsTitle": "Keyboard shortcuts (?)",
+  "toolbar.language": "Interface language",
+  "toolbar.theme": "Theme",
+
+  "theme.system": "System theme",
+  "theme.light": "Light",
+  "theme.dark": "Dark",
+  "theme.contrast": "High contrast",
+  "theme.sepia": "Sepia",
+
+  "loader.title": "Load a question bank",
+  "loader.loading": "Loading question bank...",
+  "loader.routeHint": "Trying to load {path} for this address. If that fails, upload the file yourself.",
+  "loader.hint": "Pick a bank from the list below, or upload or drop a local bank file.",
+  "loader.busy": "Loading...",
+  "loader.choose": "Choose bank file",
+  "loader.dropHint": "You can also drop a {extensions} file here.",
+  "load.reading": "Reading file...",
+  "load.images_one": "Converting document, {done} image processed",
+  "load.images_other": "Converting document, {done} images processed",
+  "load.questions": "Parsed {done}/{total} questions",
+
+  "catalogue.title": "Available banks",
+  "catalogue.parseFailed": "Could not be parsed",
+
+  "errors.autoLoadFailed": "Could not load the question bank automatically. Upload or drop a local bank file.",
+  "errors.bankNotFound": "Bank file {path} was not found. Upload or drop a local bank file.",
+  "errors.databaseBlocked":
+    "Local storage is held by another tab running an older version of this app. Close the other tabs and reload; until then progress is not saved.",
+  "errors.invalidJson": "The JSON bank is malformed and cannot be parsed.",
+  "errors.jsonNotList": "A JSON bank must be an array of questions or an object with a questions array.",
+  "errors.loadCancelled": "Loading the question bank was cancelled.",
+  "errors.missingHeader":
+    "The sheet has no header row: it needs at least question and answer columns, with option columns named A-F.",
+  "errors.noQuestions": "No questions were found. Check that the bank follows the format of the original Python version.",
+  "errors.parseFailed": "Could not parse the question bank.",
+  "errors.unsupportedFormat": "Unsupported bank format. Upload a {extensions} file.",
+
+  "diagnostics.title_one": "Parse check: {count} problem found in {bank}",
+  "diagnostics.title_other": "Parse check: {count} problems found in {bank}",
+  "diagnostics.details": "Show details",
+  "diagnostics.number": "No. {number}",
+  "diagnostics.snippet.image": "[Image]",
+  "diagnostics.snippet.row": "Row {row}: {cells}",
+  "diagnostics.type.missing_answer": "Missing answer",
+  "diagnostics.type.duplicate_number": "Duplicate number",
+  "diagnostics.type.numbering_gap": "Numbering gap",
+  "diagnostics.type.answer_not_in_options": "Answer not in options",
+  "diagnostics.type.absorbed_question": "Stem swallowed a question",
+  "diagnostics.type.incomplete_order": "Incomplete ordering",
+  "diagnostics.message.missing_answer": "Has options but no Answer line was recognised.",
+  "diagnostics.message.duplicate_number": "Number {number} appears more than once ({count} times).",
+  "diagnostics.message.numbering_gap": "Numbering jumps from {from} to {to}; {missing} is missing.",
+  "diagnostics.message.answer_not_in_options": "{unknown} in answer {answer} is not among the options {options}.",
+  "diagnostics.message.absorbed_question":
+    "The stem kept a numbered line that may be another question: “{line}”. Check that it belongs to this question.",
+  "diagnostics.message.incomplete_order":
+    "Ordering answer {order} does not place every option {options} exactly once, so the question can only be browsed.",
+
+  "question.heading": "Question {position} (No. {number})",
+  "question.edited": "Edited",
+  "question.edit": "Edit",
+  "question.pinImages": "Pin exhibit",
+  "question.unpinImages": "Unpin exhibit",
+  "question.type.ordering": "[Ordering - drag or use the arrows to reorder]",
+  "question.type.matching": "[Matching - pick an option for each item]",
+  "question.type.multi_one": "[Multiple choice - select {count} answer]",
+  "question.type.multi_other": "[Multiple choice - select {count} answers]",
+  "question.type.single": "[Single choice]",
+  "question.type.info": "[Drag-and-drop / no answer key, browse only]",
+  "question.kindTag.multi": "[Multiple choice]",
+  "question.kindTag.ordering": "[Ordering]",
+  "question.kindTag.matching": "[Matching]",
+  "question.explanation": "Explanation:",
+  "question.reference": "Reference:",
+  "question.notGradable": "This question cannot be graded. Use Previous / Next to continue.",
+  "question.answerSaved": "Answer saved: {answer} (you can change it until you hand in)",
+  "question.previous": "Previous",
+  "question.next": "Next",
+  "question.save": "Save answer",
+  "question.submit": "Submit answer",
+  "question.flag": "Flag for review",
+  "question.unflag": "Remove flag",
+  "question.finishExam": "Hand in",
+
+  "ordering.moveUp": "Move up",
+  "ordering.moveDown": "Move down",
+  "matching.position": "Item {key}",
+  "matching.choose": "Choose",
+
+  "tags.placeholder": "Separate with commas, e.g. BGP, QoS",
+  "tags.edit": "Edit tags",
+  "tags.add": "+ Tag",
+  "tags.untagged": "(untagged)",
+
+  "warning.notGradable": "This question has no answer to submit. Use Previous / Next to continue.",
+  "warning.matchingIncomplete_one": "{count} item has no option selected yet.",
+  "warning.matchingIncomplete_other": "{count} items have no option selected yet.",
+  "warning.noSelection": "Select an answer first.",
+  "warning.wrongCount": "This is a multiple-choice question with {count} answers; you selected {selected}.",
+
+  "result.correct": "✓ Correct!",
+  "result.wrong": "✗ Wrong!",
+  "result.yourAnswer": "Your answer: {answer} (original options: {source})",
+  "result.correctAnswer": "Correct answer: {answer} (original options: {source})",
+  "result.credit": "Points for this question: {score}",
+
+  "exam.unansweredNote_one": "{count} question is unanswered",
+  "exam.unansweredNote_other": "{count} questions are unanswered",
+  "exam.flaggedNote_one": "{count} question is flagged for review",
+  "exam.flaggedNote_other": "{count} questions are flagged for review",
+  "exam.noteSeparator": ", ",
+  "exam.confirmWithNotes": "{notes}. Hand in anyway?",
+  "exam.confirm": "Hand in the exam?",
+
+  "lightbox.open": "Enlarge image {position}",
+  "lightbox.counter": "Image {position} of {total}",
+  "lightbox.allImages_one": "{count} image",
+  "lightbox.allImages_other": "All {count} images",
+  "lightbox.previous": "Previous image",
+  "lightbox.next": "Next image",
+  "lightbox.zoomIn": "Zoom in",
+  "lightbox.zoomOut": "Zoom out",
+  "lightbox.reset": "Reset",
+  "lightbox.sideBySide": "Side by side",
+  "lightbox.imageAlt": "{label}, image {position}",
+  "lightbox.hint": "Scroll or pinch to zoom, drag to pan, double-click to toggle zoom. Esc closes.",
+  "navigator.title": "Question navigator",
+  "navigator.nextUnanswered": "Next unanswered",
+  "navigator.flagged": "Flagged",
+  "navigator.tile": "Question {position} (No. {number}): {status}",
+  "navigator.tileFlagged": "Question {position} (No. {number}): {status}, flagged",
+  "navigator.status.unanswered": "Unanswered",
+  "navigator.status.saved": "Answered",
+  "navigator.status.correct": "Correct",
+  "navigator.status.partial": "Partial credit",
+  "navigator.status.wrong": "Wrong",
+  "navigator.status.info": "Browse only",
+
+  "shortcuts.title": "Keyboard shortcuts",
+  "shortcuts.options": "Select / deselect the option",
+  "shortcuts.submit": "Submit the answer; next question once answered",
+  "shortcuts.navigate": "Previous / next question",
+  "shortcuts.flag": "Flag for review (Shift+F when the question has an option F)",
+  "shortcuts.nextUnanswered": "Jump to the next unanswered question",
+  "shortcuts.toggleHelp": "Open / close this help",
+  "shortcuts.closeHelp": "Close this help",
+  "shortcuts.hint": "Shortcuts are off while you type in a text field.",
+  "shortcuts.dismiss": "Got it",
+
+  "settings.sharedSeed":
+    "Opened from a shared link with seed {seed}: keep these settings to get the same questions in the same option order as everyone else.",
+  "settings.sharedIgnoresLocal":
+    "Random and sequential runs from the link use the bank as published, without your edits or hand-added tags.",
+  "settings.newSeed": "Use a new random order",
+  "settings.title": "Practice settings",
+  "settings.mode": "Mode:",
+  "settings.mode.random": "Random",
+  "settings.mode.sequential": "Sequential",
+  "settings.mode.wrong": "Wrong-answer notebook",
+  "settings.mode.due": "Due for review",
+  "settings.tagFilter": "Filter by tag:",
+  "settings.tagsSelected": "{tags} tags selected, {count} questions",
+  "settings.dueHint_one":
+    "{count} question is due today. Due questions come first; the rest are filled with questions not reviewed yet.",
+  "settings.dueHint_other":
+    "{count} questions are due today. Due questions come first; the rest are filled with questions not reviewed yet.",
+  "settings.count": "Number of questions:",
+  "settings.countQuick": "{count} questions",
+  "settings.countAll": "All ({count})",
+  "settings.start": "Start at number:",
+  "settings.startRange": "Original numbers: 1-{max}",
+  "settings.exam": "Exam simulation:",
+  "settings.examDescription": "Timed; graded when you hand in",
+  "settings.examSeconds": "Seconds per question:",
+  "settings.examTotal": "Total time: {duration}",
+  "settings.scoring": "Scoring:",
+  "settings.answerCount": "Multiple choice:",
+  "settings.hideAnswerCount": "Hide how many answers to pick (any number can be submitted)",
+  "settings.graduate": "Leave the notebook after:",
+  "settings.graduateHint": "correct answers in a row",
+  "settings.startButton": "Start",
+
+  "scoring.strict": "All or nothing",
+  "scoring.partial": "Proportional",
+  "scoring.penalty": "Penalty for wrong picks",
+  "scoring.strict.hint": "Only a fully correct answer earns 1 point.",
+  "scoring.partial.hint":
+    "Multiple choice earns the share of right picks, diluted by wrong extra picks; ordering and matching earn the share of items placed correctly.",
+  "scoring.penalty.hint":
+    "Each right pick earns its share and each wrong pick costs a share of the wrong options, so random guessing averages 0 and a question can score below 0.",
+
+  "library.title_one": "My banks ({count} bank)",
+  "library.title_other": "My banks ({count} banks)",
+  "library.hint":
+    "Checked banks are combined into one run; questions with the same number keep separate notebook and statistics records per bank.",
+  "library.empty": "No banks imported yet.",
+  "library.addQuestion": "Add question",
+  "library.import": "Import bank",
+  "library.apply_one": "Use selected banks ({count} question)",
+  "library.apply_other": "Use selected banks ({count} questions)",
+  "library.confirmRemove": "Remove {name} from My banks? Notebook and statistics records are kept.",
+
+  "resume.title": "Continue where you left off?",
+  "resume.bank": "There is an unfinished run in bank {bank}.",
+  "resume.progress": "Progress: question {position}/{total}, {count} answered",
+  "resume.examNote": " (exam simulation; the timer kept running while you were away)",
+  "resume.savedAt": "Saved: {time}",
+  "resume.discard": "Discard and start over",
+  "resume.resume": "Continue",
+
+  "wrong.title_one": "Wrong-answer notebook ({count} question)",
+  "wrong.title_other": "Wrong-answer notebook ({count} questions)",
+  "wrong.empty": "The notebook is empty.",
+  "wrong.question": "Question: {text}",
+  "wrong.correctAnswer": "Correct answer: {answer}",
+  "wrong.yourAnswer": "Your answer: {answer}",
+  "wrong.noAnswer": "(no answer)",
+  "wrong.streak": "Correct in a row: {count}",
+  "wrong.time": "Answered wrong: {time}",
+  "wrong.clear": "Clear notebook",
+  "wrong.confirmClear": "Clear the wrong-answer notebook? This cannot be undone.",
+
+  "export.title": "Export",
+  "export.bank_one": "Bank ({count} question):",
+  "export.bank_other": "Bank ({count} questions):",
+  "export.notebook_one": "Notebook ({count} question):",
+  "export.notebook_other": "Notebook ({count} questions):",
+  "export.hint":
+    "Exports include questions edited or added in this app. Images are embedded as data URIs (as Word pictures in DOCX). JSON / DOCX / CSV can be imported back into this app; import the Anki file with File → Import, its fields are front, back and tags.",
+  "export.busy": "Exporting...",
+  "export.failed": "Export failed.",
+  "export.noAnswer": "(no answer key)",
+
+  "final.examTitle": "Exam finished",
+  "final.practiceTitle": "Practice complete",
+  "final.total": "Questions: {count}",
+  "final.correct": "Correct: {count}",
+  "final.score": "Score: {score} ({policy})",
+  "final.accuracy": "Accuracy: {value}",
+  "final.scoreRate": "Score rate: {value}",
+  "final.notebook_one": "{count} question in the wrong-answer notebook",
+  "final.notebook_other": "{count} questions in the wrong-answer notebook",
+  "final.tag": "Tag",
+  "final.tagCorrect": "Correct/total",
+  "final.tagAccuracy": "Accuracy",
+  "final.position": "#",
+  "final.yourAnswer": "Your answer",
+  "final.correctAnswer": "Correct answer",
+  "final.credit": "Points",
+  "final.result": "Result",
+  "final.answerWithSource": "{answer} (original {source})",
+  "final.status.correct": "✓ Correct",
+  "final.status.partial": "◐ Partial credit",
+  "final.status.wrong": "✗ Wrong",
+  "final.status.unanswered": "✗ Unanswered",
+  "final.status.info": "Browse only",
+  "final.reviewHint": "Click a row to review that question.",
+
+  "search.title": "Search questions",
+  "search.placeholder": "Words from a stem or option, e.g. anycast RP",
+  "search.found_one": "{count} matching question. Click it to open.",
+  "search.found_other": "{count} matching questions. Click one to open.",
+  "search.none": "No matching questions.",
+  "search.confirmLeaveRun": "This question is not in the current run. Opening it ends the run. Continue?",
+
+  "stats.title": "Statistics",
+  "stats.scope": "Scope:",
+  "stats.currentBank": "Current bank",
+  "stats.currentBanks": "Current {count} banks",
+  "stats.allBanks": "All banks",
+  "stats.loadError": "Could not read the practice history; the browser may have IndexedDB disabled.",
+  "stats.empty": "No answers recorded yet.",
+  "stats.attempts": "Answers: {count}",
+  "stats.accuracy": "Accuracy: {value}",
+  "stats.averageTime": "Average time per question: {value}",
+  "stats.accuracyHint": "Accuracy uses the scoring rules of each answer; partial credit counts proportionally.",
+  "stats.dailyTitle": "Accuracy over the last {count} days",
+  "stats.sessionsTitle_one": "Score of the last run",
+  "stats.sessionsTitle_other": "Scores of the last {count} runs",
+  "stats.weakestTitle": "Weakest questions",
+  "stats.noMistakes": "No wrong answers yet.",
+  "stats.attemptsColumn": "Answers",
+  "stats.accuracyColumn": "Accuracy",
+  "stats.averageTimeColumn": "Average time",
+  "stats.seconds": "{value} s",
+
+  "editor.addTitle": "Add question",
+  "editor.editTitle": "Edit question",
+  "editor.kindLabel": "Type:",
+  "editor.kind.choice": "Single / multiple choice",
+  "editor.kind.ordering": "Ordering",
+  "editor.kind.matching": "Matching",
+  "editor.text": "Stem",
+  "editor.optionPlaceholder": "(leave empty for no such option)",
+  "editor.answer": "Answer",
+  "editor.answerHint.choice": "Letters of the correct options, e.g. A or AC.",
+  "editor.answerHint.ordering": "All options in the correct order, e.g. C,A,D,B.",
+  "editor.answerHint.matching": "List the items in the stem as 1. 2. and write the answer as 1-B, 2-A.",
+  "editor.noOptions": "No options; this question can only be browsed.",
+  "editor.unreadableAnswer": "The answer cannot be read; this question can only be browsed.",
+  "editor.answerParsedAs": "The answer is read as a “{kind}” question.",
+  "editor.incompleteOrder": "An ordering answer must place every option once; this question can only be browsed.",
+  "editor.images": "Images",
+  "editor.imageUrlPlaceholder": "or enter an image URL",
+  "editor.addImage": "Add",
+  "editor.explanation": "Explanation",
+  "editor.reference": "Reference",
+  "editor.revert": "Restore original",
+  "editor.deleteQuestion": "Delete question",
+  "editor.invalidNumber": "The number must be a positive integer.",
+  "editor.numberTaken": "Number {number} is taken. Pick another number or edit that question.",
+  "editor.empty": "Stem, options and images cannot all be empty.",
+  "editor.imageReadFailed": "The image file could not be read.",
+
+  "sync.title": "Multi-device sync",
+  "sync.hint":
+    "The notebook, review schedule, run progress, statistics, font size and theme sync to the server. Data is always saved on this device first and works offline; when the same record changed on two devices, the latest change wins.",
+  "sync.signedInAs": "Signed in as {username}",
+  "sync.statusLabel": "Status: {status}",
+  "sync.status.idle": "Not synced yet",
+  "sync.status.syncing": "Syncing...",
+  "sync.status.synced": "Synced",
+  "sync.status.offline":
+    "Cannot reach the sync server. Your data is saved on this device and syncs once the connection is back.",
+  "sync.status.error": "Sync failed",
+  "sync.lastSync": "Last sync: {time}",
+  "sync.never": "never",
+  "sync.signOut": "Sign out",
+  "sync.syncNow": "Sync now",
+  "sync.username": "Username:",
+  "sync.password": "Password:",
+  "sync.register": "Register",
+  "sync.signIn": "Sign in",
+  "sync.signInFailed": "Sign-in failed.",
+  "sync.error.unreachable": "Cannot reach the sync server.",
+  "sync.error.unavailable": "The sync server is unavailable.",
+  "sync.error.failed": "Sync failed.",
+  "sync.error.badRequest": "The sync data is malformed.",
+  "sync.error.sessionExpired": "Your sign-in has expired. Please sign in again.",
+  "sync.error.registrationClosed": "Registration is closed on this server.",
+  "sync.error.usernameTaken": "That username is taken.",
+  "sync.error.tooLarge": "The sync data is too large.",
+  "sync.error.tooManyAttempts": "Too many attempts. Try again later.",
+  "sync.error.invalidCredentials":
+    "Usernames are 3-32 letters, digits, underscores, dots or hyphens and start with a letter or digit; passwords have at least 8 characters.",
+  "sync.error.wrongPassword": "Wrong username or password."
+};
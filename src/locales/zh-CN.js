@@ -0,0 +1,359 @@
+export default {
+  "common.bank": "题库",
+  "common.cancel": "取消",
+  "common.close": "关闭",
+  "common.delete": "删除",
+  "common.number": "原题号",
+  "common.numberLabel": "原题号:",
+  "common.ok": "确定",
+  "common.pleaseWait": "请稍候...",
+  "common.questionCount": "{count} 题",
+  "common.save": "保存",
+  "common.updatedAt": "更新于 {time}",
+
+  "toolbar.progress": "进度: {done}/{total}",
+  "toolbar.remaining": "剩余时间: {duration}",
+  "toolbar.score": "得分: {score}",
+  "toolbar.notebook": "错题本: {count} 题",
+  "toolbar.bankFile": "题库文件: {name}",
+  "toolbar.noBank": "未加载",
+  "toolbar.offline": "离线缓存",
+  "toolbar.fontSize": "字号: {size}",
+  "toolbar.restart": "重新开始",
+  "toolbar.share": "复制分享链接",
+  "toolbar.shareCopied": "链接已复制",
+  "toolbar.shareTitle": "包含题库、模式、题数和随机种子的链接：打开它的人都会得到相同的题目和选项顺序",
+  "toolbar.shareLocalChanges": "本次练习用到了你的修改或手动标签，链接无法携带它们，他人会得到不同的题目。请在不使用它们的情况下开始练习再分享",
+  "toolbar.sharePrompt": "复制此链接：",
+  "toolbar.dropToUpload": "释放以上传题库",
+  "toolbar.changeBank": "更换题库",
+  "toolbar.chooseBank": "选择题库",
+  "toolbar.library": "我的题库 ({count})",
+  "toolbar.search": "搜索",
+  "toolbar.wrongAnswers": "查看错题",
+  "toolbar.stats": "学习统计",
+  "toolbar.export": "导出",
+  "toolbar.sync": "同步: {status}",
+  "toolbar.sync.offline": "离线",
+  "toolbar.sync.error": "失败",
+  "toolbar.signIn": "同步登录",
+  "toolbar.shortcuts": "快捷键",
+  "toolbar.shortcutsTitle": "键盘快捷键 (?)",
+  "toolbar.language": "界面语言",
+  "toolbar.theme": "主题",
+
+  "theme.system": "跟随系统",
+  "theme.light": "浅色",
+  "theme.dark": "深色",
+  "theme.contrast": "高对比度",
+  "theme.sepia": "护眼",
+
+  "loader.title": "加载题库",
+  "loader.loading": "正在加载题库...",
+  "loader.routeHint": "当前路径将尝试自动加载 {path}。如果加载失败，请手动上传。",
+  "loader.hint": "从下方列表选择题库，或直接上传、拖拽本地题库文件。",
+  "loader.busy": "加载中...",
+  "loader.choose": "选择题库文件",
+  "loader.dropHint": "也可以将 {extensions} 文件拖到这里。",
+  "load.reading": "正在读取文件...",
+  "load.images": "正在转换文档，已处理 {done} 张图片",
+  "load.questions": "已解析 {done}/{total} 题",
+
+  "catalogue.title": "可用题库",
+  "catalogue.parseFailed": "解析失败",
+
+  "errors.autoLoadFailed": "自动加载题库失败，请上传或拖拽本地题库文件。",
+  "errors.bankNotFound": "未找到题库文件 {path}，请上传或拖拽本地题库文件。",
+  "errors.databaseBlocked": "本地存储被另一个运行旧版本的标签页占用。请关闭其他标签页后刷新；在此之前进度不会保存。",
+  "errors.invalidJson": "JSON 题库格式错误，无法解析。",
+  "errors.jsonNotList": "JSON 题库需要是题目数组，或包含 questions 数组的对象。",
+  "errors.loadCancelled": "已取消加载题库。",
+  "errors.missingHeader": "表格缺少表头：至少需要 question 与 answer 列，选项列命名为 A-F。",
+  "errors.noQuestions": "未解析到题目，请确认题库格式与原 Python 版本一致。",
+  "errors.parseFailed": "解析题库失败。",
+  "errors.unsupportedFormat": "不支持的题库格式，请上传 {extensions} 文件。",
+
+  "diagnostics.title": "解析诊断: {bank} 中发现 {count} 处异常",
+  "diagnostics.details": "查看明细",
+  "diagnostics.number": "原题号 {number}",
+  "diagnostics.snippet.image": "[图片]",
+  "diagnostics.snippet.row": "第 {row} 行: {cells}",
+  "diagnostics.type.missing_answer": "缺少答案",
+  "diagnostics.type.duplicate_number": "题号重复",
+  "diagnostics.type.numbering_gap": "题号缺失",
+  "diagnostics.type.answer_not_in_options": "答案与选项不符",
+  "diagnostics.type.absorbed_question": "题干吞并其他题",
+  "diagnostics.type.incomplete_order": "排序答案不完整",
+  "diagnostics.message.missing_answer": "有选项但未识别到 Answer 行。",
+  "diagnostics.message.duplicate_number": "题号 {number} 重复出现（共 {count} 次）。",
+  "diagnostics.message.numbering_gap": "题号从 {from} 跳到 {to}，缺少 {missing}。",
+  "diagnostics.message.answer_not_in_options": "答案 {answer} 中的 {unknown} 不在选项 {options} 中。",
+  "diagnostics.message.absorbed_question": "题干保留了可能属于另一道题的编号行: “{line}”，请确认它属于本题。",
+  "diagnostics.message.incomplete_order": "排序答案 {order} 没有把选项 {options} 各排一次，该题只能浏览。",
+
+  "question.heading": "第 {position} 题 (原题号: {number})",
+  "question.edited": "已修改",
+  "question.edit": "编辑",
+  "question.pinImages": "固定图示",
+  "question.unpinImages": "取消固定",
+  "question.type.ordering": "【排序题 - 拖动或用箭头调整顺序】",
+  "question.type.matching": "【匹配题 - 为每个位置选择对应选项】",
+  "question.type.multi": "【多选题 - 请选择 {count} 个答案】",
+  "question.type.single": "【单选题】",
+  "question.type.info": "【拖拽题 / 无标准答案，仅浏览】",
+  "question.kindTag.multi": "【多选题】",
+  "question.kindTag.ordering": "【排序题】",
+  "question.kindTag.matching": "【匹配题】",
+  "question.explanation": "解析:",
+  "question.reference": "参考:",
+  "question.notGradable": "该题暂无可判分答案，请使用“上一题/下一题”继续。",
+  "question.answerSaved": "答案已保存: {answer}（交卷前可修改）",
+  "question.previous": "上一题",
+  "question.next": "下一题",
+  "question.save": "保存答案",
+  "question.submit": "提交答案",
+  "question.flag": "标记复查",
+  "question.unflag": "取消标记",
+  "question.finishExam": "交卷",
+
+  "ordering.moveUp": "上移",
+  "ordering.moveDown": "下移",
+  "matching.position": "位置 {key}",
+  "matching.choose": "请选择",
+
+  "tags.placeholder": "用逗号分隔，例如 BGP, QoS",
+  "tags.edit": "编辑标签",
+  "tags.add": "+ 标签",
+  "tags.untagged": "(无标签)",
+
+  "warning.notGradable": "该题暂无可提交答案，请使用“上一题/下一题”继续。",
+  "warning.matchingIncomplete": "还有 {count} 个位置未选择选项。",
+  "warning.noSelection": "请先选择答案。",
+  "warning.wrongCount": "这是多选题，需要选择 {count} 个答案，你选择了 {selected} 个。",
+
+  "result.correct": "✓ 回答正确！",
+  "result.wrong": "✗ 回答错误！",
+  "result.yourAnswer": "你的答案: {answer} (原选项: {source})",
+  "result.correctAnswer": "正确答案: {answer} (原选项: {source})",
+  "result.credit": "本题得分: {score}",
+
+  "exam.unansweredNote": "还有 {count} 题未作答",
+  "exam.flaggedNote": "{count} 题标记了复查",
+  "exam.noteSeparator": "，",
+  "exam.confirmWithNotes": "{notes}。确定交卷吗？",
+  "exam.confirm": "确定交卷吗？",
+
+  "lightbox.open": "放大第 {position} 张图片",
+  "lightbox.counter": "第 {position} / {total} 张",
+  "lightbox.allImages": "全部 {count} 张",
+  "lightbox.previous": "上一张",
+  "lightbox.next": "下一张",
+  "lightbox.zoomIn": "放大",
+  "lightbox.zoomOut": "缩小",
+  "lightbox.reset": "还原",
+  "lightbox.sideBySide": "并排查看",
+  "lightbox.imageAlt": "{label}，第 {position} 张图片",
+  "lightbox.hint": "滚轮或双指缩放，拖动平移，双击切换缩放，Esc 关闭。",
+  "navigator.title": "题目导航",
+  "navigator.nextUnanswered": "下一道未作答",
+  "navigator.flagged": "待复查",
+  "navigator.tile": "第 {position} 题（原题号 {number}）：{status}",
+  "navigator.tileFlagged": "第 {position} 题（原题号 {number}）：{status}，已标记",
+  "navigator.status.unanswered": "未作答",
+  "navigator.status.saved": "已作答",
+  "navigator.status.correct": "正确",
+  "navigator.status.partial": "部分得分",
+  "navigator.status.wrong": "错误",
+  "navigator.status.info": "仅浏览",
+
+  "shortcuts.title": "键盘快捷键",
+  "shortcuts.options": "选择 / 取消选择对应选项",
+  "shortcuts.submit": "提交答案；已作答时进入下一题",
+  "shortcuts.navigate": "上一题 / 下一题",
+  "shortcuts.flag": "标记复查（题目有 F 选项时用 Shift+F）",
+  "shortcuts.nextUnanswered": "跳到下一道未作答的题",
+  "shortcuts.toggleHelp": "打开 / 关闭本帮助",
+  "shortcuts.closeHelp": "关闭本帮助",
+  "shortcuts.hint": "在输入框中打字时快捷键不生效。",
+  "shortcuts.dismiss": "知道了",
+
+  "settings.sharedSeed": "来自分享链接，随机种子 {seed}：保持这些设置即可得到与他人相同的题目和选项顺序。",
+  "settings.sharedIgnoresLocal": "通过链接开始的随机和顺序练习使用发布的原始题库，不含你的修改和手动标签。",
+  "settings.newSeed": "改用新的随机顺序",
+  "settings.title": "练习设置",
+  "settings.mode": "练习模式:",
+  "settings.mode.random": "随机模式",
+  "settings.mode.sequential": "顺序模式",
+  "settings.mode.wrong": "错题本模式",
+  "settings.mode.due": "到期复习",
+  "settings.tagFilter": "按标签筛选:",
+  "settings.tagsSelected": "已选 {tags} 个标签，共 {count} 题",
+  "settings.dueHint": "今日到期 {count} 题，优先练习到期题目，其余名额由未复习过的题目补足。",
+  "settings.count": "练习题目数量:",
+  "settings.countQuick": "{count}题",
+  "settings.countAll": "全部({count}题)",
+  "settings.start": "起始题号:",
+  "settings.startRange": "原始题号范围: 1-{max}",
+  "settings.exam": "考试模拟:",
+  "settings.examDescription": "倒计时，交卷后统一判分",
+  "settings.examSeconds": "每题用时(秒):",
+  "settings.examTotal": "总时长: {duration}",
+  "settings.scoring": "计分方式:",
+  "settings.answerCount": "多选题提示:",
+  "settings.hideAnswerCount": "隐藏应选数量（任意数量都可提交）",
+  "settings.graduate": "移出错题本:",
+  "settings.graduateHint": "连续答对该次数后自动移出错题本",
+  "settings.startButton": "开始练习",
+
+  "scoring.strict": "全对得分",
+  "scoring.partial": "按比例得分",
+  "scoring.penalty": "错选扣分",
+  "scoring.strict.hint": "完全答对才得 1 分。",
+  "scoring.partial.hint": "多选题按选对的比例得分，多选的错误选项会摊薄得分；排序和匹配题按放对的位置得分。",
+  "scoring.penalty.hint": "选对一项得相应分数，选错一项按错误选项数扣分，随机猜测的期望得分为 0，单题可能为负分。",
+
+  "library.title": "我的题库 ({count} 个)",
+  "library.hint": "勾选的题库会合并为一次练习；题号相同的题目按题库区分错题与统计记录。",
+  "library.empty": "还没有导入过题库。",
+  "library.addQuestion": "新增题目",
+  "library.import": "导入题库",
+  "library.apply": "使用所选题库 ({count} 题)",
+  "library.confirmRemove": "确定要从我的题库中删除 {name} 吗？错题与统计记录会保留。",
+
+  "resume.title": "继续上次练习？",
+  "resume.bank": "题库 {bank} 有一次未完成的练习。",
+  "resume.progress": "进度: 第 {position}/{total} 题，已作答 {count} 题",
+  "resume.examNote": "（考试模拟，计时在离开期间持续进行）",
+  "resume.savedAt": "保存时间: {time}",
+  "resume.discard": "放弃并重新设置",
+  "resume.resume": "继续练习",
+
+  "wrong.title": "错题本 ({count} 题)",
+  "wrong.empty": "错题本中还没有题目。",
+  "wrong.question": "题目: {text}",
+  "wrong.correctAnswer": "正确答案: {answer}",
+  "wrong.yourAnswer": "你的答案: {answer}",
+  "wrong.noAnswer": "(未作答)",
+  "wrong.streak": "已连续答对: {count} 次",
+  "wrong.time": "答错时间: {time}",
+  "wrong.clear": "清空错题本",
+  "wrong.confirmClear": "确定要清空错题本吗？此操作不可恢复。",
+
+  "export.title": "导出",
+  "export.bank": "题库 ({count} 题):",
+  "export.notebook": "错题本 ({count} 题):",
+  "export.hint":
+    "导出内容包含在本应用中修改或新增的题目。图片以 data URI 形式内嵌（DOCX 中为 Word 图片）。JSON / DOCX / CSV 可重新导入本应用；Anki 文件通过「文件 → 导入」导入，字段依次为正面、背面、标签。",
+  "export.busy": "正在导出...",
+  "export.failed": "导出失败。",
+  "export.noAnswer": "(无标准答案)",
+
+  "final.examTitle": "考试结束",
+  "final.practiceTitle": "练习完成",
+  "final.total": "总题数: {count}",
+  "final.correct": "正确数: {count}",
+  "final.score": "得分: {score}（{policy}）",
+  "final.accuracy": "正确率: {value}",
+  "final.scoreRate": "得分率: {value}",
+  "final.notebook": "错题本中共有 {count} 道题目",
+  "final.tag": "标签",
+  "final.tagCorrect": "正确/题数",
+  "final.tagAccuracy": "正确率",
+  "final.position": "题序",
+  "final.yourAnswer": "你的答案",
+  "final.correctAnswer": "正确答案",
+  "final.credit": "得分",
+  "final.result": "结果",
+  "final.answerWithSource": "{answer} (原 {source})",
+  "final.status.correct": "✓ 正确",
+  "final.status.partial": "◐ 部分得分",
+  "final.status.wrong": "✗ 错误",
+  "final.status.unanswered": "✗ 未作答",
+  "final.status.info": "仅浏览",
+  "final.reviewHint": "点击任一行可回看该题。",
+
+  "search.title": "搜索题目",
+  "search.placeholder": "输入题干或选项中的词句，例如 anycast RP、组播",
+  "search.found": "找到 {count} 道相关题目，点击跳转浏览。",
+  "search.none": "没有找到相关题目。",
+  "search.confirmLeaveRun": "该题不在当前练习中，跳转将结束当前练习，确定吗？",
+
+  "stats.title": "学习统计",
+  "stats.scope": "统计范围:",
+  "stats.currentBank": "当前题库",
+  "stats.currentBanks": "当前 {count} 个题库",
+  "stats.allBanks": "全部题库",
+  "stats.loadError": "无法读取练习记录，浏览器可能禁用了 IndexedDB。",
+  "stats.empty": "还没有作答记录。",
+  "stats.attempts": "作答次数: {count}",
+  "stats.accuracy": "正确率: {value}",
+  "stats.averageTime": "平均每题用时: {value}",
+  "stats.accuracyHint": "正确率按每次作答时的计分方式计算，部分得分按比例计入。",
+  "stats.dailyTitle": "近 {count} 天正确率",
+  "stats.sessionsTitle": "最近 {count} 次练习得分",
+  "stats.weakestTitle": "最薄弱的题目",
+  "stats.noMistakes": "暂无答错记录。",
+  "stats.attemptsColumn": "作答次数",
+  "stats.accuracyColumn": "正确率",
+  "stats.averageTimeColumn": "平均用时",
+  "stats.seconds": "{value} 秒",
+
+  "editor.addTitle": "新增题目",
+  "editor.editTitle": "编辑题目",
+  "editor.kindLabel": "题型:",
+  "editor.kind.choice": "单选 / 多选",
+  "editor.kind.ordering": "排序",
+  "editor.kind.matching": "匹配",
+  "editor.text": "题干",
+  "editor.optionPlaceholder": "(留空表示没有该选项)",
+  "editor.answer": "答案",
+  "editor.answerHint.choice": "填写正确选项字母，例如 A 或 AC。",
+  "editor.answerHint.ordering": "按正确顺序列出全部选项，例如 C,A,D,B。",
+  "editor.answerHint.matching": "在题干中用 1. 2. 列出匹配对象，答案写成 1-B, 2-A。",
+  "editor.noOptions": "没有选项，该题只能浏览。",
+  "editor.unreadableAnswer": "答案无法识别，该题只能浏览。",
+  "editor.answerParsedAs": "答案按「{kind}」题解析。",
+  "editor.incompleteOrder": "排序题答案必须把每个选项各排一次，该题只能浏览。",
+  "editor.images": "图片",
+  "editor.imageUrlPlaceholder": "或输入图片地址",
+  "editor.addImage": "添加",
+  "editor.explanation": "解析",
+  "editor.reference": "参考",
+  "editor.revert": "恢复原题",
+  "editor.deleteQuestion": "删除该题",
+  "editor.invalidNumber": "题号必须是正整数。",
+  "editor.numberTaken": "题号 {number} 已存在，请换一个题号或直接编辑该题。",
+  "editor.empty": "题干、选项和图片不能都为空。",
+  "editor.imageReadFailed": "无法读取图片文件。",
+
+  "sync.title": "多设备同步",
+  "sync.hint":
+    "错题本、复习计划、练习进度、学习统计、字号和主题会同步到服务器。数据始终先保存在本机，离线时照常使用；同一条记录在两台设备上都改过时，以最后修改的为准。",
+  "sync.signedInAs": "已登录: {username}",
+  "sync.statusLabel": "状态: {status}",
+  "sync.status.idle": "尚未同步",
+  "sync.status.syncing": "正在同步...",
+  "sync.status.synced": "已同步",
+  "sync.status.offline": "无法连接同步服务器，数据已保存在本机，恢复连接后自动同步。",
+  "sync.status.error": "同步失败",
+  "sync.lastSync": "上次同步: {time}",
+  "sync.never": "从未",
+  "sync.signOut": "退出登录",
+  "sync.syncNow": "立即同步",
+  "sync.username": "用户名:",
+  "sync.password": "密码:",
+  "sync.register": "注册",
+  "sync.signIn": "登录",
+  "sync.signInFailed": "登录失败。",
+  "sync.error.unreachable": "无法连接同步服务器。",
+  "sync.error.unavailable": "同步服务器不可用。",
+  "sync.error.failed": "同步失败。",
+  "sync.error.badRequest": "同步数据格式错误。",
+  "sync.error.sessionExpired": "登录已过期，请重新登录。",
+  "sync.error.registrationClosed": "服务器未开放注册。",
+  "sync.error.usernameTaken": "用户名已被占用。",
+  "sync.error.tooLarge": "同步数据过大。",
+  "sync.error.tooManyAttempts": "尝试次数过多，请稍后再试。",
+  "sync.error.invalidCredentials": "用户名需为 3-32 位字母、数字、下划线、点或连字符，并以字母或数字开头；密码至少 8 位。",
+  "sync.error.wrongPassword": "用户名或密码错误。"
+};
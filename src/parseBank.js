@@ -0,0 +1,99 @@
+import { DEFAULT_LOCALE, localizedError, translate } from "./i18n";
+import { importQuestionBank } from "./importers";
+
+function abortError() {
+  return new DOMException(translate(DEFAULT_LOCALE, "errors.loadCancelled"), "AbortError");
+}
+
+export function isAbortError(error) {
+  return error instanceof DOMException && error.name === "AbortError";
+}
+
+// The main-thread fallback cannot be terminated, so it checks `signal` on
+// every progress tick and stops there; the promise rejects as soon as the
+// signal aborts.
+function parseOnMainThread(arrayBuffer, fileName, onProgress, signal) {
+  if (signal?.aborted) {
+    return Promise.reject(abortError());
+  }
+  return new Promise((resolve, reject) => {
+    function handleAbort() {
+      reject(abortError());
+    }
+
+    signal?.addEventListener("abort", handleAbort, { once: true });
+    importQuestionBank(arrayBuffer, fileName, (progress) => {
+      if (signal?.aborted) {
+        throw abortError();
+      }
+      onProgress?.(progress);
+    })
+      .then(resolve, reject)
+      .finally(() => signal?.removeEventListener("abort", handleAbort));
+  });
+}
+
+// Parses a bank off the main thread; `arrayBuffer` is transferred to the
+// worker and unusable afterwards. Resolves like `importQuestionBank`;
+// aborting `signal` terminates the worker and rejects with an AbortError.
+// Browsers without module workers, or where the worker fails to load (for
+// example blocked by a CSP), parse on the main thread instead.
+export function parseBank(arrayBuffer, fileName, { onProgress, signal } = {}) {
+  if (signal?.aborted) {
+    return Promise.reject(abortError());
+  }
+
+  let worker;
+  try {
+    worker = new Worker(new URL("./bankParser.worker.js", import.meta.url), { type: "module" });
+  } catch {
+    return parseOnMainThread(arrayBuffer, fileName, onProgress, signal);
+  }
+
+  return new Promise((resolve, reject) => {
+    // The bank is only transferred once the worker reports it loaded, so a
+    // load failure still has the buffer for the main-thread fallback.
+    let ready = false;
+
+    function finish() {
+      worker.terminate();
+      signal?.removeEventListener("abort", handleAbort);
+    }
+
+    function handleAbort() {
+      finish();
+      reject(abortError());
+    }
+
+    signal?.addEventListener("abort", handleAbort);
+    worker.onmessage = ({ data }) => {
+      if (data.type === "ready") {
+        ready = true;
+        worker.postMessage({ arrayBuffer, fileName }, [arrayBuffer]);
+        return;
+      }
+      if (data.type === "progress") {
+        onProgress?.(data.progress);
+        return;
+      }
+      finish();
+      if (data.type === "done") {
+        resolve(data.result);
+      } else {
+        reject(
+          data.messageKey
+            ? Object.assign(new Error(data.message), { messageKey: data.messageKey, messageParams: data.messageParams })
+            : new Error(data.message)
+        );
+      }
+    };
+    worker.onerror = (event) => {
+      finish();
+      if (!ready) {
+        parseOnMainThread(arrayBuffer, fileName, onProgress, signal).then(resolve, reject);
+        return;
+      }
+      reject(event.message ? new Error(event.message) : localizedError("errors.parseFailed"));
+    };
+  });
+}
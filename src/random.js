@@ -0,0 +1,41 @@
+// Seeded randomness for shared runs: the same seed picks the same questions
+// and the same option order on every device.
+
+const MAX_SEED = 2 ** 32;
+
+// Seeds are 32-bit numbers written in base 36 (at most 7 characters), short
+// enough to read out in a study group.
+export function createSeed() {
+  return Math.floor(Math.random() * MAX_SEED).toString(36);
+}
+
+// Returns the seed in canonical form, or "" when `value` is not a seed.
+export function parseSeed(value) {
+  const text = String(value ?? "").trim().toLowerCase();
+  if (!/^[0-9a-z]{1,7}$/.test(text)) {
+    return "";
+  }
+  const number = Number.parseInt(text, 36);
+  return number < MAX_SEED ? number.toString(36) : "";
+}
+
+// mulberry32: returns a function yielding numbers in [0, 1) like Math.random.
+export function createRandom(seed) {
+  let state = Number.parseInt(seed, 36) >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / MAX_SEED;
+  };
+}
+
+export function shuffleArray(array, random = Math.random) {
+  const copy = [...array];
+  for (let i = copy.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
@@ -0,0 +1,44 @@
+// How a graded answer turns into points. Every question is worth 1 point;
+// `isCorrect` (full marks) still decides the wrong-answer notebook and the
+// review schedule whatever the policy.
+export const SCORING_POLICIES = ["strict", "partial", "penalty"];
+export const DEFAULT_SCORING_POLICY = "strict";
+
+// Multiple choice:
+// - strict: 1 for exactly the right set, else 0.
+// - partial: right picks divided by the larger of the answer size and the
+//   number of picks, so ticking everything does not pay.
+// - penalty: each right pick earns 1/answer size, each wrong pick costs
+//   1/(number of wrong options); random guessing averages 0 and a question
+//   can score below 0.
+// Ordering and matching: strict is all-or-nothing, the other policies give
+// the share of positions placed correctly.
+export function scoreChoice(selected, answer, optionCount, policy) {
+  const hits = selected.filter((letter) => answer.includes(letter)).length;
+  const misses = selected.length - hits;
+  if (policy === "partial") {
+    return hits / Math.max(answer.length, selected.length);
+  }
+  if (policy === "penalty") {
+    const wrongOptions = optionCount - answer.length;
+    return hits / answer.length - (wrongOptions > 0 ? misses / wrongOptions : 0);
+  }
+  return hits === answer.length && misses === 0 ? 1 : 0;
+}
+
+export function scorePositions(correctPositions, totalPositions, policy) {
+  if (policy === "strict") {
+    return correctPositions === totalPositions ? 1 : 0;
+  }
+  return totalPositions > 0 ? correctPositions / totalPositions : 0;
+}
+
+// Points of a graded answer or recorded attempt; ones saved before scoring
+// policies existed only have `isCorrect`.
+export function creditOf(result) {
+  return typeof result?.credit === "number" ? result.credit : result?.isCorrect ? 1 : 0;
+}
+
+export function formatScore(value) {
+  return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
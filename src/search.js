@@ -0,0 +1,236 @@
+import { LETTERS } from "./bankParser";
+
+const CJK_RE = /[\u3400-\u9fff\uf900-\ufaff]/;
+const QUERY_TERM_RE = /[\u3400-\u9fff\uf900-\ufaff]+|[^\s\u3400-\u9fff\uf900-\ufaff]+/g;
+const WORD_RE = /[a-z0-9]+/g;
+const MIN_FUZZY_WORD_LENGTH = 4;
+// A Chinese term may match with other characters in between, as long as the
+// whole match stays within this many times the term's length.
+const CJK_SPREAD = 2;
+const SNIPPET_RADIUS = 40;
+
+// Lower case plus full-width ASCII folded to half-width, one character for
+// one character so match offsets stay valid in the original text.
+function normalizeChar(char) {
+  const code = char.charCodeAt(0);
+  let folded = char;
+  if (code >= 0xff01 && code <= 0xff5e) {
+    folded = String.fromCharCode(code - 0xfee0);
+  } else if (code === 0x3000) {
+    folded = " ";
+  }
+  const lower = folded.toLowerCase();
+  return lower.length === 1 ? lower : folded;
+}
+
+export function normalizeSearchText(text) {
+  let normalized = "";
+  for (let i = 0; i < text.length; i += 1) {
+    normalized += normalizeChar(text[i]);
+  }
+  return normalized;
+}
+
+// Chinese is written without spaces, so a query like "组播RP" becomes the
+// terms "组播" and "rp".
+function queryTerms(query) {
+  return normalizeSearchText(query).match(QUERY_TERM_RE) || [];
+}
+
+function editDistanceWithin(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) {
+    return false;
+  }
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) {
+      return false;
+    }
+    previous = current;
+  }
+  return previous[b.length] <= limit;
+}
+
+function substringRanges(normalized, term) {
+  const ranges = [];
+  let from = normalized.indexOf(term);
+  while (from >= 0) {
+    ranges.push([from, from + term.length]);
+    from = normalized.indexOf(term, from + term.length);
+  }
+  return ranges;
+}
+
+// Words within one typo (two for long terms) of a Latin term.
+function typoRanges(normalized, term) {
+  if (term.length < MIN_FUZZY_WORD_LENGTH) {
+    return [];
+  }
+  const limit = term.length >= 8 ? 2 : 1;
+  const ranges = [];
+  for (const match of normalized.matchAll(WORD_RE)) {
+    if (editDistanceWithin(term, match[0], limit)) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+  return ranges;
+}
+
+// The characters of a Chinese term in order, close together.
+function spreadRanges(normalized, term) {
+  if (term.length < 2) {
+    return [];
+  }
+  const maxSpan = term.length * CJK_SPREAD;
+  let start = normalized.indexOf(term[0]);
+  while (start >= 0) {
+    const positions = [start];
+    let cursor = start;
+    for (let i = 1; i < term.length; i += 1) {
+      cursor = normalized.indexOf(term[i], cursor + 1);
+      if (cursor < 0 || cursor - start >= maxSpan) {
+        break;
+      }
+      positions.push(cursor);
+    }
+    if (positions.length === term.length) {
+      return positions.map((position) => [position, position + 1]);
+    }
+    start = normalized.indexOf(term[0], start + 1);
+  }
+  return [];
+}
+
+function matchTerm(normalized, term) {
+  const exact = substringRanges(normalized, term);
+  if (exact.length > 0) {
+    return { ranges: exact, exact: true };
+  }
+  const fuzzy = CJK_RE.test(term) ? spreadRanges(normalized, term) : typoRanges(normalized, term);
+  return { ranges: fuzzy, exact: false };
+}
+
+function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const [start, end] of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  }
+  return merged;
+}
+
+// One entry per question with its stem and options pre-normalised.
+export function buildSearchIndex(questions) {
+  return questions.map((question) => ({
+    question,
+    fields: [
+      { key: "text", text: question.text },
+      ...LETTERS.filter((letter) => question.options[letter]).map((letter) => ({
+        key: letter,
+        text: question.options[letter]
+      }))
+    ].map((field) => ({ ...field, normalized: normalizeSearchText(field.text) }))
+  }));
+}
+
+// Every query term has to match the stem or an option, exactly or fuzzily.
+// Exact matches outrank fuzzy ones, the stem outranks options and the whole
+// phrase appearing verbatim ranks highest. Returns
+// `[{ question, score, fields: [{ key, text, ranges }] }]`, best first.
+export function searchQuestions(index, query, limit = 50) {
+  const terms = queryTerms(query);
+  if (terms.length === 0) {
+    return [];
+  }
+  const phrase = terms.join(" ");
+
+  const results = [];
+  for (const entry of index) {
+    let score = 0;
+    const rangesByField = new Map();
+    let allMatched = true;
+
+    for (const term of terms) {
+      let termScore = 0;
+      for (const field of entry.fields) {
+        const { ranges, exact } = matchTerm(field.normalized, term);
+        if (ranges.length === 0) {
+          continue;
+        }
+        rangesByField.set(field, [...(rangesByField.get(field) || []), ...ranges]);
+        termScore = Math.max(termScore, (exact ? 3 : 1) + (field.key === "text" ? 1 : 0));
+      }
+      if (termScore === 0) {
+        allMatched = false;
+        break;
+      }
+      score += termScore;
+    }
+    if (!allMatched) {
+      continue;
+    }
+
+    if (terms.length > 1 && entry.fields.some((field) => field.normalized.includes(phrase))) {
+      score += 5;
+    }
+    results.push({
+      question: entry.question,
+      score,
+      fields: entry.fields
+        .filter((field) => rangesByField.has(field))
+        .map((field) => ({ key: field.key, text: field.text, ranges: mergeRanges(rangesByField.get(field)) }))
+    });
+  }
+
+  return results
+    .sort((a, b) => b.score - a.score || a.question.number - b.question.number)
+    .slice(0, limit);
+}
+
+// Cuts long text down to the part around the first match, keeping the ranges
+// aligned with the shortened text.
+export function searchSnippet(text, ranges, radius = SNIPPET_RADIUS) {
+  if (ranges.length === 0 || text.length <= radius * 2) {
+    return { text, ranges };
+  }
+  const start = Math.max(0, ranges[0][0] - radius);
+  const end = Math.min(text.length, ranges[0][1] + radius);
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < text.length ? "…" : "";
+  const offset = prefix.length - start;
+  return {
+    text: `${prefix}${text.slice(start, end)}${suffix}`,
+    ranges: ranges
+      .filter(([rangeStart, rangeEnd]) => rangeStart >= start && rangeEnd <= end)
+      .map(([rangeStart, rangeEnd]) => [rangeStart + offset, rangeEnd + offset])
+  };
+}
+
+// `[{ text, hit }]` pieces for rendering highlighted text.
+export function highlightParts(text, ranges) {
+  const parts = [];
+  let cursor = 0;
+  for (const [start, end] of ranges) {
+    if (start > cursor) {
+      parts.push({ text: text.slice(cursor, start), hit: false });
+    }
+    parts.push({ text: text.slice(start, end), hit: true });
+    cursor = end;
+  }
+  if (cursor < text.length) {
+    parts.push({ text: text.slice(cursor), hit: false });
+  }
+  return parts;
+}
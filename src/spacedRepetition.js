@@ -0,0 +1,89 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+export function srsKey(bank, number) {
+  return `${bank}#${number}`;
+}
+
+function endOfDay(now) {
+  const date = new Date(now);
+  date.setHours(23, 59, 59, 999);
+  return date.getTime();
+}
+
+// Map a graded submission onto the SM-2 0-5 recall quality scale.
+export function gradeToQuality(isCorrect) {
+  return isCorrect ? 4 : 1;
+}
+
+// Classic SM-2: failed recalls restart the repetition ladder, successful ones
+// grow the interval by the (adjusted) ease factor.
+export function reviewCard(card, quality, now = Date.now()) {
+  const previous = card || { ease: DEFAULT_EASE, interval: 0, repetitions: 0 };
+  const ease = Math.max(
+    MIN_EASE,
+    previous.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+
+  let repetitions = previous.repetitions + 1;
+  let interval;
+  if (quality < 3) {
+    repetitions = 0;
+    interval = 1;
+  } else if (repetitions === 1) {
+    interval = 1;
+  } else if (repetitions === 2) {
+    interval = 6;
+  } else {
+    interval = Math.round(previous.interval * ease);
+  }
+
+  return {
+    ease,
+    interval,
+    repetitions,
+    due: now + interval * DAY_MS,
+    lastReviewed: now
+  };
+}
+
+// Cards are keyed by each question's own `bank`, so a quiz drawn from several
+// library banks keeps their schedules apart.
+export function countDueQuestions(questions, srsState, now = Date.now()) {
+  const cutoff = endOfDay(now);
+  return questions.reduce((count, question) => {
+    const card = srsState[srsKey(question.bank, question.number)];
+    return count + (question.canSubmit && card && card.due <= cutoff ? 1 : 0);
+  }, 0);
+}
+
+// Overdue cards come first (most overdue at the front), then questions that
+// were never reviewed, then the cards that are closest to becoming due.
+export function selectDueQuestions(questions, srsState, count, shuffle, now = Date.now()) {
+  const cutoff = endOfDay(now);
+  const due = [];
+  const unseen = [];
+  const upcoming = [];
+
+  for (const question of questions) {
+    if (!question.canSubmit) {
+      continue;
+    }
+    const card = srsState[srsKey(question.bank, question.number)];
+    if (!card) {
+      unseen.push(question);
+    } else if (card.due <= cutoff) {
+      due.push({ question, card });
+    } else {
+      upcoming.push({ question, card });
+    }
+  }
+
+  const byDue = (a, b) => a.card.due - b.card.due;
+  return [
+    ...due.sort(byDue).map((item) => item.question),
+    ...shuffle(unseen),
+    ...upcoming.sort(byDue).map((item) => item.question)
+  ].slice(0, count);
+}
@@ -0,0 +1,88 @@
+import { creditOf } from "./scoring";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function createAttemptId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function dayKey(timestamp) {
+  const date = new Date(timestamp);
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function accuracyOf(bucket) {
+  return bucket.total > 0 ? bucket.correct / bucket.total : 0;
+}
+
+export function summarizeAttempts(attempts) {
+  const total = attempts.length;
+  const correct = attempts.reduce((count, attempt) => count + creditOf(attempt), 0);
+  const totalTime = attempts.reduce((sum, attempt) => sum + (attempt.timeSpentMs || 0), 0);
+
+  return {
+    total,
+    correct,
+    accuracy: total > 0 ? correct / total : 0,
+    averageTimeMs: total > 0 ? totalTime / total : 0
+  };
+}
+
+export function accuracyByDay(attempts, days, now = Date.now()) {
+  const buckets = new Map();
+  for (let offset = days - 1; offset >= 0; offset -= 1) {
+    buckets.set(dayKey(now - offset * DAY_MS), { total: 0, correct: 0 });
+  }
+
+  for (const attempt of attempts) {
+    const bucket = buckets.get(dayKey(attempt.timestamp));
+    if (bucket) {
+      bucket.total += 1;
+      bucket.correct += creditOf(attempt);
+    }
+  }
+
+  return Array.from(buckets, ([day, bucket]) => ({ day, ...bucket, accuracy: accuracyOf(bucket) }));
+}
+
+export function sessionTrends(attempts, limit) {
+  const sessions = new Map();
+  for (const attempt of attempts) {
+    const key = attempt.sessionId || "";
+    const session = sessions.get(key) || { sessionId: key, bank: attempt.bank, startedAt: attempt.timestamp, total: 0, correct: 0 };
+    session.total += 1;
+    session.correct += creditOf(attempt);
+    session.startedAt = Math.min(session.startedAt, attempt.timestamp);
+    sessions.set(key, session);
+  }
+
+  return Array.from(sessions.values())
+    .sort((a, b) => a.startedAt - b.startedAt)
+    .slice(-limit)
+    .map((session) => ({ ...session, accuracy: accuracyOf(session) }));
+}
+
+// Questions seen at least `minAttempts` times, ordered by accuracy and then
+// by how often they were missed.
+export function weakestQuestions(attempts, limit, minAttempts = 1) {
+  const byQuestion = new Map();
+  for (const attempt of attempts) {
+    const key = `${attempt.bank}#${attempt.number}`;
+    const entry = byQuestion.get(key) || { bank: attempt.bank, number: attempt.number, total: 0, correct: 0, timeSpentMs: 0 };
+    entry.total += 1;
+    entry.correct += creditOf(attempt);
+    entry.timeSpentMs += attempt.timeSpentMs || 0;
+    byQuestion.set(key, entry);
+  }
+
+  return Array.from(byQuestion.values())
+    .filter((entry) => entry.total >= minAttempts && entry.correct < entry.total)
+    .map((entry) => ({
+      ...entry,
+      accuracy: accuracyOf(entry),
+      averageTimeMs: entry.timeSpentMs / entry.total
+    }))
+    .sort((a, b) => a.accuracy - b.accuracy || b.total - b.correct - (a.total - a.correct))
+    .slice(0, limit);
+}
@@ -0,0 +1,335 @@
+import { deleteRecord, getAllRecords, getRecord, putRecord } from "./db";
+import { applyEdits, loadEdits } from "./edits";
+import { localizedError } from "./i18n";
+
+// Optional sync with the backend in server/. Everything stays local first:
+// the app reads and writes localStorage and IndexedDB as before, and a sync
+// exchanges the records changed since the last one. Conflicts are settled
+// per record by the newest `updatedAt` (last write wins).
+const API_BASE = "/api";
+const ACCOUNT_STORAGE_KEY = "ccde_sync_account";
+// `{ [collection]: { [key]: deletedAt } }` for records removed on this device
+// since the last sync.
+const TOMBSTONES_STORAGE_KEY = "ccde_sync_tombstones";
+// Collections whose records can be removed locally; their keys after each
+// sync are remembered so removals can be sent as tombstones.
+const DELETABLE_COLLECTIONS = ["wrongAnswers", "sessions"];
+
+// The server words its errors in Chinese for API clients; the app shows its
+// own text per status so the message follows the UI locale.
+const STATUS_MESSAGE_KEYS = {
+  400: "sync.error.badRequest",
+  401: "sync.error.sessionExpired",
+  403: "sync.error.registrationClosed",
+  409: "sync.error.usernameTaken",
+  413: "sync.error.tooLarge",
+  429: "sync.error.tooManyAttempts"
+};
+const SIGN_IN_STATUS_MESSAGE_KEYS = {
+  ...STATUS_MESSAGE_KEYS,
+  400: "sync.error.invalidCredentials",
+  401: "sync.error.wrongPassword"
+};
+
+function requestError(status, key) {
+  const error = localizedError(key);
+  error.status = status;
+  return error;
+}
+
+// No answer, or an answer that is not from the sync server (nginx without the
+// backend, the dev proxy with nothing behind it).
+export function isOfflineError(error) {
+  return error?.status === 0;
+}
+
+async function apiRequest(path, { token, body }) {
+  let response;
+  try {
+    response = await fetch(`${API_BASE}${path}`, {
+      method: "POST",
+      cache: "no-store",
+      headers: {
+        "Content-Type": "application/json",
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: JSON.stringify(body || {})
+    });
+  } catch {
+    throw requestError(0, "sync.error.unreachable");
+  }
+  const data = await response.json().catch(() => null);
+  if (!data) {
+    throw requestError(0, "sync.error.unavailable");
+  }
+  if (!response.ok) {
+    const messageKeys = path === "/sync" || path === "/logout" ? STATUS_MESSAGE_KEYS : SIGN_IN_STATUS_MESSAGE_KEYS;
+    throw requestError(response.status, messageKeys[response.status] || "sync.error.failed");
+  }
+  return data;
+}
+
+export function loadSyncAccount() {
+  try {
+    return JSON.parse(window.localStorage.getItem(ACCOUNT_STORAGE_KEY) || "null");
+  } catch {
+    return null;
+  }
+}
+
+export function saveSyncAccount(account) {
+  if (account) {
+    window.localStorage.setItem(ACCOUNT_STORAGE_KEY, JSON.stringify(account));
+  } else {
+    window.localStorage.removeItem(ACCOUNT_STORAGE_KEY);
+    window.localStorage.removeItem(TOMBSTONES_STORAGE_KEY);
+  }
+}
+
+function loadTombstones() {
+  try {
+    return JSON.parse(window.localStorage.getItem(TOMBSTONES_STORAGE_KEY) || "null") || {};
+  } catch {
+    return {};
+  }
+}
+
+// Remembers when a record left this device, so the removal reaches the server
+// stamped with that time rather than with the next sync's and cannot beat
+// edits other devices made in between. The first removal since the last sync
+// is kept; an earlier stamp can only lose more often. Nothing is recorded
+// while signed out, since there is no sync to send it with.
+export function recordDeletion(collection, key, deletedAt = Date.now()) {
+  if (!loadSyncAccount()) {
+    return;
+  }
+  const tombstones = loadTombstones();
+  if (tombstones[collection]?.[key] !== undefined) {
+    return;
+  }
+  tombstones[collection] = { ...tombstones[collection], [key]: deletedAt };
+  window.localStorage.setItem(TOMBSTONES_STORAGE_KEY, JSON.stringify(tombstones));
+}
+
+// A fresh account starts from revision 0, so the first sync uploads every
+// local record and downloads everything the server has.
+export async function signIn(username, password, register = false) {
+  const data = await apiRequest(register ? "/register" : "/login", { body: { username, password } });
+  return { username: data.username, token: data.token, rev: 0, lastSyncAt: 0, known: {} };
+}
+
+export function signOut(account) {
+  return apiRequest("/logout", { token: account.token, body: {} }).catch(() => {});
+}
+
+export function wrongAnswerKey(record) {
+  return `${record.bank}#${record.original_number}`;
+}
+
+// Records written before sync existed only carry the ISO `timestamp`.
+function wrongAnswerTime(record) {
+  return record.updated_at || Date.parse(record.timestamp) || 0;
+}
+
+// Sessions refer to library questions by bank and number (`quizItems`), but
+// older ones embed the quiz questions (`quizQuestions`); DOCX images in those
+// are data URIs that would make every upload megabytes large, so they are
+// left out and filled back in from the local library when a session arrives.
+function stripSessionImages(session) {
+  if (!session.quizQuestions) {
+    return session;
+  }
+  return {
+    ...session,
+    quizQuestions: session.quizQuestions.map((question) => ({
+      ...question,
+      images: (question.images || []).filter((src) => !src.startsWith("data:"))
+    }))
+  };
+}
+
+async function loadLibraryQuestions() {
+  const [entries, edits] = await Promise.all([
+    getAllRecords("library").catch(() => []),
+    loadEdits().catch(() => ({}))
+  ]);
+  const byKey = new Map();
+  for (const entry of entries) {
+    for (const question of applyEdits(entry.questions, entry.name, edits)) {
+      byKey.set(`${entry.name}#${question.number}`, question);
+    }
+  }
+  return byKey;
+}
+
+function restoreSessionImages(session, libraryQuestions) {
+  if (!session.quizQuestions) {
+    return session;
+  }
+  return {
+    ...session,
+    quizQuestions: session.quizQuestions.map((question) => {
+      const source = libraryQuestions.get(`${question.bank ?? session.bank}#${question.number}`);
+      return source ? { ...question, images: source.images } : question;
+    })
+  };
+}
+
+function collectLocalRecords({ wrongAnswers, srsState, fontSettings, sessions, attempts }) {
+  return {
+    wrongAnswers: new Map(wrongAnswers.map((record) => [wrongAnswerKey(record), { updatedAt: wrongAnswerTime(record), value: record }])),
+    srs: new Map(Object.entries(srsState).map(([key, card]) => [key, { updatedAt: card.lastReviewed || 0, value: card }])),
+    settings: new Map([["font", { updatedAt: fontSettings.updated_at || 0, value: { font_size: fontSettings.font_size, theme: fontSettings.theme } }]]),
+    sessions: new Map(sessions.map((session) => [session.bank, { updatedAt: session.savedAt || 0, value: session }])),
+    attempts: new Map(attempts.map((attempt) => [attempt.id, { updatedAt: attempt.timestamp || 0, value: attempt }]))
+  };
+}
+
+// A remote change wins over the local record when it is strictly newer;
+// a remote deletion also removes a local record of the same age.
+function remoteWins(change, local) {
+  if (!local) {
+    return !change.deleted;
+  }
+  return change.deleted ? change.updatedAt >= local.updatedAt : change.updatedAt > local.updatedAt;
+}
+
+async function applyRemoteIndexedDb(remote) {
+  let libraryQuestions = null;
+  for (const change of remote.sessions || []) {
+    const stored = await getRecord("sessions", change.key).catch(() => null);
+    if (!remoteWins(change, stored ? { updatedAt: stored.savedAt || 0 } : null)) {
+      continue;
+    }
+    if (change.deleted) {
+      await deleteRecord("sessions", change.key).catch(() => {});
+    } else {
+      if (change.value.quizQuestions) {
+        libraryQuestions = libraryQuestions || (await loadLibraryQuestions());
+      }
+      await putRecord("sessions", restoreSessionImages(change.value, libraryQuestions)).catch(() => {});
+    }
+  }
+  // Attempts never change once recorded, so only new ones are stored.
+  for (const change of remote.attempts || []) {
+    if (!change.deleted) {
+      await putRecord("attempts", change.value).catch(() => {});
+    }
+  }
+}
+
+// Runs one sync round. `local` holds the data the app keeps in React state
+// (`wrongAnswers`, `srsState`, `fontSettings` with the font size and theme);
+// sessions and attempts are
+// read from and written to IndexedDB here. Resolves to the updated account
+// and the remote changes per collection, which the app merges into its state
+// with the `mergeRemote*` helpers below.
+export async function syncNow(account, local) {
+  const startedAt = Date.now();
+  const [sessions, attempts] = await Promise.all([
+    getAllRecords("sessions").catch(() => []),
+    getAllRecords("attempts").catch(() => [])
+  ]);
+  const records = collectLocalRecords({ ...local, sessions, attempts });
+  const tombstones = loadTombstones();
+
+  const changes = [];
+  for (const [collection, byKey] of Object.entries(records)) {
+    for (const [key, record] of byKey) {
+      if (record.updatedAt > account.lastSyncAt) {
+        const value = collection === "sessions" ? stripSessionImages(record.value) : record.value;
+        changes.push({ collection, key, updatedAt: record.updatedAt, deleted: false, value });
+      }
+    }
+    // A removal without a tombstone (made before they were recorded) gets
+    // the earliest time it can have happened: just after the last sync.
+    for (const key of account.known[collection] || []) {
+      if (!byKey.has(key)) {
+        const deletedAt = tombstones[collection]?.[key] ?? account.lastSyncAt + 1;
+        changes.push({ collection, key, updatedAt: deletedAt, deleted: true });
+      }
+    }
+  }
+
+  const response = await apiRequest("/sync", { token: account.token, body: { since: account.rev, changes } });
+  const remote = {};
+  for (const change of response.changes) {
+    (remote[change.collection] = remote[change.collection] || []).push(change);
+  }
+  await applyRemoteIndexedDb(remote);
+
+  const known = {};
+  for (const collection of DELETABLE_COLLECTIONS) {
+    const keys = new Set(records[collection].keys());
+    for (const change of remote[collection] || []) {
+      if (remoteWins(change, records[collection].get(change.key))) {
+        if (change.deleted) {
+          keys.delete(change.key);
+        } else {
+          keys.add(change.key);
+        }
+      }
+    }
+    known[collection] = Array.from(keys);
+  }
+  pruneTombstones(known);
+
+  return {
+    account: { ...account, rev: response.rev, lastSyncAt: startedAt, known },
+    remote
+  };
+}
+
+// Removals sent in this round are done with; only tombstones of records that
+// were still here when the round read them (removed while it ran) stay.
+function pruneTombstones(known) {
+  const tombstones = loadTombstones();
+  const kept = {};
+  for (const collection of DELETABLE_COLLECTIONS) {
+    const knownKeys = new Set(known[collection]);
+    const entries = Object.entries(tombstones[collection] || {}).filter(([key]) => knownKeys.has(key));
+    if (entries.length > 0) {
+      kept[collection] = Object.fromEntries(entries);
+    }
+  }
+  window.localStorage.setItem(TOMBSTONES_STORAGE_KEY, JSON.stringify(kept));
+}
+
+export function mergeRemoteWrongAnswers(current, changes = []) {
+  if (changes.length === 0) {
+    return current;
+  }
+  const byKey = new Map(current.map((record) => [wrongAnswerKey(record), record]));
+  for (const change of changes) {
+    const local = byKey.get(change.key);
+    if (!remoteWins(change, local ? { updatedAt: wrongAnswerTime(local) } : null)) {
+      continue;
+    }
+    if (change.deleted) {
+      byKey.delete(change.key);
+    } else {
+      byKey.set(change.key, change.value);
+    }
+  }
+  return Array.from(byKey.values());
+}
+
+export function mergeRemoteSrs(current, changes = []) {
+  let next = current;
+  for (const change of changes) {
+    const local = current[change.key];
+    if (!change.deleted && remoteWins(change, local ? { updatedAt: local.lastReviewed || 0 } : null)) {
+      next = { ...next, [change.key]: change.value };
+    }
+  }
+  return next;
+}
+
+// The newer font settings from the server, or null when the local ones win.
+export function remoteFontSettings(current, changes = []) {
+  const change = changes.find((item) => item.key === "font" && !item.deleted);
+  if (!change || !remoteWins(change, { updatedAt: current.updated_at || 0 })) {
+    return null;
+  }
+  return { ...change.value, updated_at: change.updatedAt };
+}
@@ -0,0 +1,77 @@
+import { creditOf } from "./scoring";
+
+export const UNTAGGED_LABEL = "(无标签)";
+
+function tagKey(question) {
+  return `${question.bank}#${question.number}`;
+}
+
+// Tags from the bank itself plus the ones added by hand in the app, which are
+// stored per bank and original question number.
+export function tagsOf(question, manualTags) {
+  const tags = [...(question.tags || [])];
+  for (const tag of manualTags[tagKey(question)] || []) {
+    if (!tags.includes(tag)) {
+      tags.push(tag);
+    }
+  }
+  return tags;
+}
+
+export function manualTagsOf(question, manualTags) {
+  return manualTags[tagKey(question)] || [];
+}
+
+export function setManualTags(manualTags, question, tags) {
+  const next = { ...manualTags };
+  if (tags.length > 0) {
+    next[tagKey(question)] = tags;
+  } else {
+    delete next[tagKey(question)];
+  }
+  return next;
+}
+
+// `[{ tag, count }]`, most used first.
+export function collectTags(questions, manualTags) {
+  const counts = new Map();
+  for (const question of questions) {
+    for (const tag of tagsOf(question, manualTags)) {
+      counts.set(tag, (counts.get(tag) || 0) + 1);
+    }
+  }
+  return Array.from(counts, ([tag, count]) => ({ tag, count })).sort(
+    (a, b) => b.count - a.count || a.tag.localeCompare(b.tag)
+  );
+}
+
+// Keeps questions carrying any of `tags`; an empty selection keeps everything.
+export function filterByTags(questions, tags, manualTags) {
+  if (tags.length === 0) {
+    return questions;
+  }
+  return questions.filter((question) => tagsOf(question, manualTags).some((tag) => tags.includes(tag)));
+}
+
+// Accuracy per tag over the graded answers of a run (points under the run's
+// scoring policy); a question counts once for each of its tags. Finished
+// exams also count unanswered questions.
+export function accuracyByTag(quizQuestions, answersState, manualTags, countUnanswered = false) {
+  const byTag = new Map();
+  quizQuestions.forEach((question, index) => {
+    const result = answersState[index];
+    if (!question.canSubmit || (!result && !countUnanswered)) {
+      return;
+    }
+    const tags = tagsOf(question, manualTags);
+    for (const tag of tags.length > 0 ? tags : [UNTAGGED_LABEL]) {
+      const entry = byTag.get(tag) || { tag, total: 0, correct: 0 };
+      entry.total += 1;
+      entry.correct += creditOf(result);
+      byTag.set(tag, entry);
+    }
+  });
+  return Array.from(byTag.values(), (entry) => ({ ...entry, accuracy: entry.correct / entry.total })).sort(
+    (a, b) => a.accuracy - b.accuracy || b.total - a.total
+  );
+}
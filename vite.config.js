@@ -1,10 +1,61 @@
+import { existsSync } from "node:fs";
+import path from "node:path";
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
+import { CATALOGUE_FILE_NAME, buildBankCatalogue } from "./scripts/bankCatalogue.mjs";
+
+// Serves /banks.json in dev and emits it into the build, listing the banks in
+// the public directory. A hand-written public/banks.json takes precedence.
+function bankCatalogue() {
+  let publicDir = "";
+  const hasStaticCatalogue = () => existsSync(path.join(publicDir, CATALOGUE_FILE_NAME));
+
+  return {
+    name: "bank-catalogue",
+    configResolved(config) {
+      publicDir = config.publicDir;
+    },
+    configureServer(server) {
+      server.middlewares.use(`/${CATALOGUE_FILE_NAME}`, async (req, res, next) => {
+        if (hasStaticCatalogue()) {
+          next();
+          return;
+        }
+        try {
+          const catalogue = await buildBankCatalogue(publicDir);
+          res.setHeader("Content-Type", "application/json");
+          res.setHeader("Cache-Control", "no-cache");
+          res.end(JSON.stringify(catalogue));
+        } catch (error) {
+          next(error);
+        }
+      });
+    },
+    async generateBundle() {
+      if (hasStaticCatalogue()) {
+        return;
+      }
+      this.emitFile({
+        type: "asset",
+        fileName: CATALOGUE_FILE_NAME,
+        source: `${JSON.stringify(await buildBankCatalogue(publicDir), null, 2)}\n`
+      });
+    }
+  };
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), bankCatalogue()],
+  // The parser worker lazy-loads xlsx, which needs an ES module worker.
+  worker: {
+    format: "es"
+  },
   server: {
     host: true,
-    port: 5173
+    port: 5173,
+    // `npm run server` starts the optional sync backend on this port.
+    proxy: {
+      "/api": "http://localhost:3000"
+    }
   }
 });